@@ -12,23 +12,236 @@ const cors = require("cors");
 const fs = require("fs").promises;
 const fsSync = require("fs");
 const path = require("path");
-const { PDFDocument } = require("pdf-lib");
+const {
+  PDFDocument,
+  EncryptedPDFError,
+  PDFArray,
+  PDFName,
+  PDFHexString,
+  PDFString,
+  PDFDict,
+  PDFStream,
+  PDFTextField,
+  PDFCheckBox,
+  PDFRadioGroup,
+  PDFDropdown,
+  PDFOptionList,
+  PDFButton,
+  PDFSignature,
+  PageSizes,
+  StandardFonts,
+  degrees,
+  rgb,
+  pushGraphicsState,
+  popGraphicsState,
+  rectangle,
+  clip,
+  endPath,
+  decodePDFRawStream,
+} = require("pdf-lib");
 const sharp = require("sharp");
-const { exec } = require("child_process");
-const { fromPath } = require("pdf2pic");
-const util = require("util");
-const execPromise = util.promisify(exec);
+const MarkdownIt = require("markdown-it");
+const sanitizeHtml = require("sanitize-html");
+const { spawn } = require("child_process");
+const crypto = require("crypto");
+const os = require("os");
+const dns = require("dns").promises;
+const { lookup: dnsLookup } = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const archiver = require("archiver");
+const { Writable } = require("stream");
+const { pipeline: streamPipeline } = require("stream/promises");
+const { AsyncLocalStorage, AsyncResource } = require("async_hooks");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Anonymous rate limits are keyed on req.ip. Behind a proxy (Render,
+// Railway, nginx) set TRUST_PROXY to its hop count ("1") or addresses
+// ("loopback", "10.0.0.0/8") so req.ip is the client from
+// X-Forwarded-For. Left unset, req.ip is the socket peer: clients
+// reaching the server directly can't choose their own identity.
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+  app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+}
+
+// ============================================
+// STRUCTURED LOGGING
+// One JSON object per line: { time, level, msg, requestId, ...fields }.
+// The request ID (and job ID for async jobs) comes from the async
+// context, so helpers deep inside a tool don't need it passed along.
+// Set LOG_LEVEL=debug to include the periodic memory line.
+// ============================================
+const logContext = new AsyncLocalStorage();
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] || LOG_LEVELS.info;
+
+function log(level, msg, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVEL) return;
+  const entry = { time: new Date().toISOString(), level, msg, ...logContext.getStore(), ...fields };
+  if (entry.error instanceof Error) {
+    entry.error = entry.error.stack || entry.error.message;
+  }
+  const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+const logger = {
+  debug: (msg, fields) => log("debug", msg, fields),
+  info: (msg, fields) => log("info", msg, fields),
+  warn: (msg, fields) => log("warn", msg, fields),
+  error: (msg, fields) => log("error", msg, fields),
+};
+
+// Callbacks fired by streams (multer, body parsing) run outside the
+// request's async context; bind `next` so the rest of the chain keeps it
+function keepLogContext(middleware) {
+  return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+}
+
+// ============================================
+// METRICS (Prometheus text format, served at /metrics)
+// Counters and histograms are kept in memory and reset on restart;
+// gauges are read when scraped.
+// ============================================
+const METRIC_PREFIX = "getpdfpress_";
+const METRIC_BUCKETS = {
+  seconds: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300],
+  bytes: [10e3, 100e3, 500e3, 1e6, 5e6, 10e6, 25e6, 50e6, 100e6],
+  ratio: [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1],
+};
+const metrics = new Map(); // name -> { type, help, buckets, series: Map(labels -> value) }
+
+function defineMetric(name, type, help, buckets) {
+  metrics.set(name, { type, help, buckets, series: new Map() });
+}
+
+defineMetric("requests_total", "counter", "Tool requests by tool and HTTP status");
+defineMetric("request_duration_seconds", "histogram", "Tool request time, queue wait included", METRIC_BUCKETS.seconds);
+defineMetric("queue_wait_seconds", "histogram", "Time spent waiting for a slot", METRIC_BUCKETS.seconds);
+defineMetric("input_bytes", "histogram", "Bytes uploaded per tool run", METRIC_BUCKETS.bytes);
+defineMetric("output_bytes", "histogram", "Bytes produced per tool run", METRIC_BUCKETS.bytes);
+defineMetric("compression_ratio", "histogram", "Compressed size / original size", METRIC_BUCKETS.ratio);
+defineMetric("fallbacks_total", "counter", "Work handed to a weaker fallback");
+defineMetric("timeouts_total", "counter", "Requests, jobs and processes stopped for taking too long");
+defineMetric("jobs_total", "counter", "Finished async job attempts by tool and status");
+defineMetric("job_duration_seconds", "histogram", "Async job attempt time", METRIC_BUCKETS.seconds);
+
+function labelKey(labels) {
+  return Object.entries(labels)
+    .map(([key, value]) => `${key}="${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`)
+    .join(",");
+}
+
+function incMetric(name, labels = {}, value = 1) {
+  const { series } = metrics.get(name);
+  const key = labelKey(labels);
+  series.set(key, (series.get(key) || 0) + value);
+}
+
+function observeMetric(name, labels, value) {
+  const metric = metrics.get(name);
+  const key = labelKey(labels);
+  let histogram = metric.series.get(key);
+  if (!histogram) {
+    histogram = { counts: metric.buckets.map(() => 0), sum: 0, count: 0 };
+    metric.series.set(key, histogram);
+  }
+  metric.buckets.forEach((bound, i) => {
+    if (value <= bound) histogram.counts[i]++;
+  });
+  histogram.sum += value;
+  histogram.count++;
+}
+
+function renderMetrics() {
+  const usage = process.memoryUsage();
+  const lines = [];
+  const sample = (name, key, value) => lines.push(`${name}${key ? `{${key}}` : ""} ${value}`);
+
+  for (const [shortName, metric] of metrics) {
+    const name = METRIC_PREFIX + shortName;
+    lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+    for (const [key, value] of metric.series) {
+      if (metric.type !== "histogram") {
+        sample(name, key, value);
+        continue;
+      }
+      const prefix = key ? `${key},` : "";
+      metric.buckets.forEach((bound, i) => sample(`${name}_bucket`, `${prefix}le="${bound}"`, value.counts[i]));
+      sample(`${name}_bucket`, `${prefix}le="+Inf"`, value.count);
+      sample(`${name}_sum`, key, value.sum);
+      sample(`${name}_count`, key, value.count);
+    }
+  }
+
+  const jobCounts = { queued: 0, running: 0 };
+  for (const job of jobs.values()) {
+    if (job.status in jobCounts) jobCounts[job.status]++;
+  }
+  const gauges = [
+    ["queue_depth", "Requests waiting for a slot", [["", requestQueue.length]]],
+    ["active_requests", "Requests and jobs holding a slot", [["", activeRequests]]],
+    ["jobs", "Async jobs by status", Object.entries(jobCounts).map(([status, count]) => [labelKey({ status }), count])],
+    ["cancelled_requests", "Requests whose client went away (since start)", [["", cancelledRequests]]],
+  ];
+  for (const [shortName, help, values] of gauges) {
+    const name = METRIC_PREFIX + shortName;
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+    for (const [key, value] of values) sample(name, key, value);
+  }
+
+  lines.push(
+    "# HELP process_resident_memory_bytes Resident memory size in bytes",
+    "# TYPE process_resident_memory_bytes gauge",
+    `process_resident_memory_bytes ${usage.rss}`,
+    "# HELP nodejs_heap_used_bytes V8 heap in use",
+    "# TYPE nodejs_heap_used_bytes gauge",
+    `nodejs_heap_used_bytes ${usage.heapUsed}`,
+    "# HELP nodejs_heap_total_bytes V8 heap allocated",
+    "# TYPE nodejs_heap_total_bytes gauge",
+    `nodejs_heap_total_bytes ${usage.heapTotal}`,
+  );
+  return `${lines.join("\n")}\n`;
+}
+
+// Inline reads get a label of their own; a tool's write endpoint is the tool
+const SUBROUTE_SUFFIXES = { read: "-read", fields: "-fields", write: "", fill: "" };
+
+// Full path without the query string. req.path is relative to the mount
+// point, so it reads "/" for responses sent from app.use() middleware
+// (rate limits, the request queue) once they finish.
+function requestPath(req) {
+  return req.originalUrl.split("?")[0];
+}
+
+// Tool name for per-tool metrics, or null for other routes
+// ("/api/metadata/read" -> "metadata-read", "/api/extract/text" -> "extract-text")
+function metricsTool(req) {
+  const match = /^\/api\/([a-z-]+)(?:\/([a-z]+))?\/?$/.exec(requestPath(req));
+  if (!match) return null;
+  const [, base, sub] = match;
+  if (sub && `${base}-${sub}` in TOOL_QUEUE_CONFIG) return `${base}-${sub}`;
+  if (!(base in TOOL_QUEUE_CONFIG)) return null;
+  if (!sub) return base;
+  return Object.hasOwn(SUBROUTE_SUFFIXES, sub) ? `${base}${SUBROUTE_SUFFIXES[sub]}` : null;
+}
+
 // ============================================
 // MEMORY MANAGEMENT CONFIGURATION
 // ============================================
 const MAX_CONCURRENT_REQUESTS = 1; // Only 1 heavy operation at a time on free tier
+const MAX_LIGHT_CONCURRENT = 3; // light tools may share the server while memory allows
+const ADMISSION_RSS_LIMIT_MB = parseInt(process.env.ADMISSION_RSS_LIMIT_MB) || 350;
+const ADMISSION_BYTES_FACTOR = 4; // upload + parsed document + output, roughly
 const REQUEST_TIMEOUT = 60000; // 60 seconds max per request
 let activeRequests = 0;
+let activeHeavyRequests = 0;
 let requestQueue = [];
+let cancelledRequests = 0; // clients that went away while queued or running
 
 // Memory monitoring
 setInterval(() => {
@@ -37,14 +250,14 @@ setInterval(() => {
   const rssMB = Math.round(usage.rss / 1024 / 1024);
   
   if (rssMB > 450) { // Warning at 450MB (90% of 512MB limit)
-    console.warn(`⚠️ HIGH MEMORY WARNING: RSS ${rssMB}MB / Heap ${heapUsedMB}MB`);
+    logger.warn("High memory usage", { rssMB, heapUsedMB });
     // Force garbage collection if available
     if (global.gc) {
       global.gc();
-      console.log("🗑️ Forced garbage collection");
+      logger.info("Forced garbage collection");
     }
   } else {
-    console.log(`💾 Memory: RSS ${rssMB}MB / Heap ${heapUsedMB}MB`);
+    logger.debug("Memory usage", { rssMB, heapUsedMB });
   }
 }, 30000); // Every 30 seconds
 
@@ -60,7 +273,7 @@ try {
     fsSync.mkdirSync(outputDir, { recursive: true });
   }
 } catch (err) {
-  console.error("❌ Error creating directories:", err);
+  logger.error("Could not create directories", { error: err });
 }
 
 // Aggressive cleanup of old files every 5 minutes
@@ -68,6 +281,13 @@ setInterval(async () => {
   try {
     const now = Date.now();
     const maxAge = 10 * 60 * 1000; // 10 minutes
+
+    // Expire finished jobs along with their results
+    for (const job of [...jobs.values()]) {
+      if (job.finishedAt && now - job.finishedAt > maxAge) {
+        await deleteJob(job);
+      }
+    }
     
     for (const dir of [uploadsDir, outputDir]) {
       const files = await fs.readdir(dir);
@@ -76,8 +296,9 @@ setInterval(async () => {
         try {
           const stats = await fs.stat(filePath);
           if (now - stats.mtimeMs > maxAge) {
-            await fs.unlink(filePath);
-            console.log(`🗑️ Cleaned up old file: ${file}`);
+            // Tool work directories are removed whole
+            await fs.rm(filePath, { recursive: true, force: true });
+            logger.info("Cleaned up old file", { file });
           }
         } catch (err) {
           // Ignore errors, file may already be deleted
@@ -93,7 +314,7 @@ setInterval(async () => {
           const tmpPath = path.join('/tmp', file);
           try {
             await fs.rm(tmpPath, { recursive: true, force: true });
-            console.log(`🗑️ Cleaned up temp directory: ${file}`);
+            logger.info("Cleaned up temp directory", { file });
           } catch (err) {
             // Ignore errors
           }
@@ -103,608 +324,5744 @@ setInterval(async () => {
       // /tmp may not be readable
     }
   } catch (err) {
-    console.error("❌ Cleanup error:", err);
+    logger.error("Cleanup failed", { error: err });
   }
 }, 5 * 60 * 1000); // Every 5 minutes
 
 // ============================================
 // REQUEST QUEUE MIDDLEWARE
 // ============================================
+// One AbortController per response, shared by the tool context (which
+// hands the signal to tools and their child processes) and the queue
+// middleware (which aborts on timeout). A response that closes before
+// it was ended means the client went away.
+const abortControllers = new WeakMap();
+
+function responseAbortController(res) {
+  let controller = abortControllers.get(res);
+  if (!controller) {
+    controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableEnded) controller.abort(new Error("Client disconnected"));
+    });
+    abortControllers.set(res, controller);
+  }
+  return controller;
+}
+
+// Admission: anything runs on an idle server. Heavy tools (Ghostscript,
+// LibreOffice, rendering, pipelines) otherwise wait for it to be idle;
+// light ones (pdf-lib and qpdf edits) may run up to MAX_LIGHT_CONCURRENT
+// side by side, as long as no heavy work is running and current RSS
+// (ours plus the warm LibreOffice worker's) plus an estimate for this
+// upload stays under ADMISSION_RSS_LIMIT_MB.
+function isLightTool(tool) {
+  return Boolean((TOOL_QUEUE_CONFIG[tool] || DEFAULT_QUEUE_CONFIG).light);
+}
+
+function canAdmit(tool, bytes) {
+  if (activeRequests === 0) return true;
+  if (!isLightTool(tool) || activeHeavyRequests > 0) return false;
+  if (activeRequests >= MAX_LIGHT_CONCURRENT) return false;
+
+  const rssMB = process.memoryUsage().rss / 1024 / 1024 + loWorkerRssMB();
+  return rssMB + (bytes * ADMISSION_BYTES_FACTOR) / 1024 / 1024 <= ADMISSION_RSS_LIMIT_MB;
+}
+
+function claimSlot(tool) {
+  activeRequests++;
+  if (!isLightTool(tool)) activeHeavyRequests++;
+}
+
+function releaseSlot(tool) {
+  activeRequests--;
+  if (!isLightTool(tool)) activeHeavyRequests--;
+}
+
+// "/api/page-numbers" -> "page-numbers", "/api/extract/text" ->
+// "extract-text"; the middleware is mounted per tool
+function requestTool(req) {
+  return req.baseUrl.replace(/^\/api\//, "").replace(/\//g, "-");
+}
+
 function requestQueueMiddleware(req, res, next) {
-  if (activeRequests >= MAX_CONCURRENT_REQUESTS) {
-    console.log(`⏳ Request queued (${requestQueue.length + 1} in queue)`);
-    
-    requestQueue.push({ req, res, next });
+  // Async jobs return 202 straight away and take a slot when they run
+  if (isAsyncRequest(req)) {
+    return next();
+  }
+
+  const tool = requestTool(req);
+  const bytes = parseInt(req.headers["content-length"]) || 0;
+
+  // Arrivals wait behind anyone already queued
+  if (requestQueue.length > 0 || !canAdmit(tool, bytes)) {
+    logger.info("Request queued", { tool, queued: requestQueue.length + 1 });
+
+    const queuedAt = Date.now();
+    const entry = {
+      tool,
+      bytes,
+      // Dequeued from inside another response's end(); keep this request's log context
+      start: AsyncResource.bind(() => startRequest(req, res, () => setImmediate(next), tool, queuedAt)),
+    };
+    requestQueue.push(entry);
+
+    const leaveQueue = () => {
+      const index = requestQueue.indexOf(entry);
+      if (index === -1) return false;
+      requestQueue.splice(index, 1);
+      return true;
+    };
     
     // Set timeout for queued requests
     const timeout = setTimeout(() => {
-      const index = requestQueue.findIndex(item => item.req === req);
-      if (index !== -1) {
-        requestQueue.splice(index, 1);
+      if (leaveQueue()) {
+        incMetric("timeouts_total", { kind: "queue" });
+        logger.warn("Gave up waiting for a slot", { tool });
         res.status(503).json({
           error: "Server busy",
           message: "Too many concurrent requests. Please try again in a moment.",
         });
       }
     }, 30000); // 30 second queue timeout
-    
-    req.on('close', () => clearTimeout(timeout));
+
+    entry.onClose = () => {
+      clearTimeout(timeout);
+      if (leaveQueue()) {
+        cancelledRequests++;
+        logger.info("Queued request cancelled by client", { requestId: req.id, tool, queued: requestQueue.length });
+      }
+    };
+    entry.onDequeue = () => {
+      clearTimeout(timeout);
+      res.removeListener("close", entry.onClose);
+    };
+    res.on("close", entry.onClose);
     return;
   }
+
+  startRequest(req, res, next, tool);
+}
+
+function startRequest(req, res, next, tool, queuedAt = Date.now()) {
+  claimSlot(tool);
+  // Tools that run long child processes keep them inside this (see libreOfficeTimeout)
+  res.deadline = Date.now() + REQUEST_TIMEOUT;
+  observeMetric("queue_wait_seconds", { tool }, (Date.now() - queuedAt) / 1000);
+  logger.info("Processing request", { tool, active: activeRequests });
   
-  activeRequests++;
-  console.log(`▶️ Processing request (${activeRequests}/${MAX_CONCURRENT_REQUESTS} active)`);
-  
-  // Set request timeout
+  // Set request timeout; aborting stops the tool and its child processes
   const timeout = setTimeout(() => {
-    console.error("⏱️ Request timeout");
+    incMetric("timeouts_total", { kind: "request" });
+    logger.error("Request timed out", { tool, timeoutMs: REQUEST_TIMEOUT });
     if (!res.headersSent) {
       res.status(504).json({ error: "Request timeout" });
     }
+    responseAbortController(res).abort(new Error("Request timeout"));
   }, REQUEST_TIMEOUT);
   
-  const originalEnd = res.end;
-  res.end = function(...args) {
+  // Release the slot exactly once, whether the response ends normally
+  // or the socket is torn down mid-stream (e.g. an aborted ZIP download
+  // or a closed tab); in the latter case the work is cancelled too
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
     clearTimeout(timeout);
-    activeRequests--;
-    console.log(`✅ Request completed (${activeRequests} active, ${requestQueue.length} queued)`);
-    
-    // Process next queued request
-    if (requestQueue.length > 0) {
-      const nextRequest = requestQueue.shift();
-      setImmediate(() => requestQueueMiddleware(nextRequest.req, nextRequest.res, nextRequest.next));
+    releaseSlot(tool);
+    if (!res.writableEnded) {
+      cancelledRequests++;
+      logger.info("Request cancelled by client", { requestId: req.id, tool, active: activeRequests, queued: requestQueue.length });
+      cleanupFiles(...(req.uploadPaths || []));
+    } else {
+      logger.info("Request completed", { requestId: req.id, tool, active: activeRequests, queued: requestQueue.length });
     }
     
+    processNextInQueue();
+  };
+
+  responseAbortController(res);
+  const originalEnd = res.end;
+  res.end = function(...args) {
     originalEnd.apply(this, args);
+    release();
   };
+  res.on('close', release);
   
   next();
 }
 
-// ================================
-// Multer: REDUCED file size limit for free tier
-// ================================
-const sanitize = (name) => name.replace(/[^a-zA-Z0-9._-]/g, "_");
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadsDir);
-  },
-  filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname) || "";
-    const base = path.basename(file.originalname, ext);
-    cb(null, `${Date.now()}-${sanitize(base)}${ext.toLowerCase()}`);
-  },
-});
-
-const upload = multer({
-  storage,
-  limits: { fileSize: 25 * 1024 * 1024 }, // REDUCED to 25MB for free tier
-});
+// Waiting HTTP requests go first: they hold a socket and time out
+// after 30s. Otherwise free capacity goes to durable jobs. The queue is
+// served in order, so light requests don't overtake a waiting heavy one.
+function processNextInQueue() {
+  while (requestQueue.length > 0 && canAdmit(requestQueue[0].tool, requestQueue[0].bytes)) {
+    const nextRequest = requestQueue.shift();
+    nextRequest.onDequeue();
+    // Claims the slot now, but carries on from a fresh stack
+    nextRequest.start();
+  }
 
-app.use(
-  cors({
-    origin: "*",
-    methods: ["GET", "POST", "OPTIONS"],
-    allowedHeaders: ["Content-Type"],
-  }),
-);
-app.use(express.json({ limit: '10mb' }));
+  if (requestQueue.length === 0) {
+    setImmediate(runNextJob);
+  }
+}
 
 // ============================================
-// CANONICAL DOMAIN ENFORCEMENT
-// Force HTTPS + non-www in ONE redirect
+// ASYNC JOBS (durable queue)
+// POST a tool with ?async=true to get a job ID back immediately.
+// Each job is a JSON record in jobsDir, with its uploads moved into
+// jobsDir/<id>/, so queued work survives restarts. Each attempt gets
+// fresh links to those inputs in uploadsDir and runs the tool handler
+// against a response object that writes to outputDir, not a socket.
 // ============================================
-app.use((req, res, next) => {
-  const host = req.headers.host || '';
-  const protocol = req.headers['x-forwarded-proto'] || req.protocol;
-  
-  // Check if we need to redirect
-  const isWWW = host.startsWith('www.');
-  const isHTTP = protocol === 'http';
-  
-  // If either condition is true, redirect to canonical
-  if (isWWW || isHTTP) {
-    const canonicalHost = host.replace(/^www\./, '');
-    const canonicalURL = `https://${canonicalHost}${req.originalUrl}`;
-    
-    console.log(`🔀 Redirecting: ${protocol}://${host}${req.originalUrl} → ${canonicalURL}`);
-    return res.redirect(301, canonicalURL);
+// Point JOBS_DIR at a persistent disk to keep queued work across deploys
+const jobsDir = process.env.JOBS_DIR || path.join(__dirname, "jobs");
+const JOB_TIMEOUT = 5 * 60 * 1000; // jobs may outlive REQUEST_TIMEOUT
+const JOB_RESULT_TTL = 10 * 60 * 1000; // matches the cleanup sweep
+const JOB_RETRY_BASE_DELAY = 5000; // 5s, 10s, 20s...
+const jobs = new Map();
+const jobSecrets = new Map(); // job ID -> body fields kept out of the record
+const toolHandlers = {};
+let retryTimer = null;
+let shuttingDown = false;
+
+// Higher priority runs first. Ghostscript/LibreOffice tools get
+// retries because their failures are often transient (OOM kills,
+// LibreOffice profile lock-ups); pdf-lib failures are deterministic.
+// Light tools may run side by side (see canAdmit).
+const TOOL_QUEUE_CONFIG = {
+  merge: { priority: 3, maxAttempts: 1, light: true },
+  split: { priority: 3, maxAttempts: 1, light: true },
+  protect: { priority: 3, maxAttempts: 1, light: true },
+  unlock: { priority: 3, maxAttempts: 1, light: true },
+  organize: { priority: 3, maxAttempts: 1, light: true },
+  watermark: { priority: 2, maxAttempts: 1, light: true },
+  "page-numbers": { priority: 2, maxAttempts: 1, light: true },
+  metadata: { priority: 3, maxAttempts: 1, light: true },
+  "images-to-pdf": { priority: 2, maxAttempts: 1 },
+  compress: { priority: 2, maxAttempts: 3 },
+  "pdf-to-images": { priority: 2, maxAttempts: 3 },
+  "pdf-to-word": { priority: 1, maxAttempts: 3 },
+  "word-to-pdf": { priority: 1, maxAttempts: 3 },
+  convert: { priority: 1, maxAttempts: 3 },
+  ocr: { priority: 1, maxAttempts: 2 },
+  "extract-text": { priority: 3, maxAttempts: 1, light: true },
+  "extract-images": { priority: 2, maxAttempts: 1 },
+  forms: { priority: 3, maxAttempts: 1, light: true },
+  pipeline: { priority: 1, maxAttempts: 2 },
+};
+const DEFAULT_QUEUE_CONFIG = { priority: 1, maxAttempts: 1 };
+
+try {
+  if (!fsSync.existsSync(jobsDir)) {
+    fsSync.mkdirSync(jobsDir, { recursive: true, mode: 0o700 });
   }
-  
-  next();
-});
+} catch (err) {
+  logger.error("Could not create jobs directory", { error: err });
+}
 
-app.use(express.static("public"));
+// Passwords are never written to the job record: they stay in memory
+// until the job ends, so a job that needs them cannot resume after a
+// restart (loadJobs fails it rather than running it without them).
+const SECRET_FIELDS = ["password", "ownerPassword"];
 
-// Apply queue middleware to all heavy endpoints
-app.use('/api/compress', requestQueueMiddleware);
-app.use('/api/merge', requestQueueMiddleware);
-app.use('/api/split', requestQueueMiddleware);
-app.use('/api/pdf-to-images', requestQueueMiddleware);
-app.use('/api/images-to-pdf', requestQueueMiddleware);
-app.use('/api/pdf-to-word', requestQueueMiddleware);
-app.use('/api/word-to-pdf', requestQueueMiddleware);
+function hasSecretFields(options) {
+  return SECRET_FIELDS.some((field) => options && options[field] !== undefined);
+}
 
-// ============================================
-// HELPER: Safe file cleanup (never throws)
-// ============================================
-async function safeUnlink(filePath) {
-  if (!filePath) return;
+function withoutSecretFields(options) {
+  const rest = { ...options };
+  SECRET_FIELDS.forEach((field) => delete rest[field]);
+  return rest;
+}
+
+// Returns { stored, secrets }; pipeline steps carry their own options
+function splitJobSecrets(body) {
+  const stored = withoutSecretFields(body);
+  const secrets = {};
+  SECRET_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) secrets[field] = body[field];
+  });
+
+  if (typeof body.steps === "string") {
+    let steps = null;
+    try {
+      steps = JSON.parse(body.steps);
+    } catch (error) {
+      // Left as is; the pipeline handler reports bad JSON
+    }
+    if (Array.isArray(steps) && steps.some(hasSecretFields)) {
+      secrets.steps = body.steps;
+      stored.steps = JSON.stringify(steps.map((step) => (step && typeof step === "object" ? withoutSecretFields(step) : step)));
+    }
+  }
+
+  return { stored, secrets: Object.keys(secrets).length > 0 ? secrets : null };
+}
+
+// A callbackUrl implies async: the caller will not wait for the result.
+// Before multer runs only the query string is visible; a callbackUrl
+// form field is picked up in jobCapable once the body is parsed.
+function isAsyncRequest(req) {
+  return parseBoolean(req.query.async) || Boolean(callbackUrlOf(req));
+}
+
+// Handlers report progress as a 0-1 fraction; a no-op for HTTP responses
+function reportProgress(res, fraction) {
+  if (typeof res.reportProgress === "function") {
+    res.reportProgress(fraction);
+  }
+}
+
+function jobRecordPath(id) {
+  return path.join(jobsDir, `${id}.json`);
+}
+
+function jobInputDir(id) {
+  return path.join(jobsDir, id);
+}
+
+// Write to a temp file and rename so a crash never leaves half a record
+async function saveJob(job) {
+  const { progress, ...record } = job;
+  const recordPath = jobRecordPath(job.id);
+  const tmpPath = `${recordPath}.tmp`;
   try {
-    await fs.unlink(filePath);
-  } catch (_) {
-    // ignore
+    await fs.writeFile(tmpPath, JSON.stringify(record), { mode: 0o600 });
+    await fs.rename(tmpPath, recordPath);
+  } catch (error) {
+    logger.error("Could not persist job", { jobId: job.id, error: error.message });
+  }
+}
+
+// rename() fails across filesystems (e.g. JOBS_DIR on a mounted disk)
+async function moveFile(from, to) {
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== "EXDEV") throw error;
+    await fs.copyFile(from, to);
+    await safeUnlink(from);
+  }
+}
+
+async function deleteJob(job) {
+  jobs.delete(job.id);
+  jobSecrets.delete(job.id);
+  await cleanupFiles(jobRecordPath(job.id), job.resultPath);
+  await safeRmdir(jobInputDir(job.id));
+}
+
+// Implements the slice of the Express response API the tool
+// handlers use (status/set/send/json, piping, destroy)
+function createJobResponse(job) {
+  const file = fsSync.createWriteStream(job.resultPath);
+
+  const jobRes = new Writable({
+    write(chunk, encoding, callback) {
+      jobRes.headersSent = true;
+      file.write(chunk, encoding, callback);
+    },
+    final(callback) {
+      file.end(callback);
+    },
+    destroy(error, callback) {
+      file.destroy();
+      callback(error);
+    },
+  });
+
+  jobRes.statusCode = 200;
+  jobRes.headersSent = false;
+  jobRes.headers = {};
+  jobRes.body = null;
+
+  jobRes.status = (code) => {
+    jobRes.statusCode = code;
+    return jobRes;
+  };
+  jobRes.set = (field, value) => {
+    if (typeof field === "object") {
+      Object.entries(field).forEach(([key, val]) => jobRes.set(key, val));
+    } else {
+      jobRes.headers[field.toLowerCase()] = String(value);
+    }
+    return jobRes;
+  };
+  jobRes.send = (body) => {
+    jobRes.end(Buffer.isBuffer(body) ? body : Buffer.from(String(body)));
+    return jobRes;
+  };
+  jobRes.json = (body) => {
+    jobRes.body = body;
+    jobRes.set("Content-Type", "application/json");
+    return jobRes.send(JSON.stringify(body));
+  };
+  jobRes.reportProgress = (fraction) => {
+    job.progress = Math.max(job.progress, Math.min(1, fraction));
+  };
+
+  return jobRes;
+}
+
+// Rebuild the bits of `req` the handlers read, with fresh links to the
+// stored inputs since every handler deletes its inputs when it finishes
+async function buildJobRequest(job) {
+  const files = [];
+  for (const file of job.request.files) {
+    const linkPath = path.join(uploadsDir, `${Date.now()}-job${job.attempts}-${path.basename(file.path)}`);
+    try {
+      await fs.link(file.path, linkPath);
+      // Links share the upload's mtime; refresh it so the sweep leaves it alone
+      const now = new Date();
+      await fs.utimes(linkPath, now, now);
+    } catch (error) {
+      await fs.copyFile(file.path, linkPath);
+    }
+    files.push({ ...file, path: linkPath });
+  }
+
+  const layout = job.request.layout || (job.request.single ? "single" : "array");
+  let grouped;
+  if (layout === "fields") {
+    grouped = {};
+    files.forEach((file) => {
+      (grouped[file.fieldname] = grouped[file.fieldname] || []).push(file);
+    });
+  }
+
+  return {
+    body: { ...job.request.body, ...jobSecrets.get(job.id) },
+    query: { ...job.request.query },
+    // Only the key's tool allowlist is needed once the job runs
+    client: job.request.tools ? { limits: { tools: job.request.tools } } : undefined,
+    file: layout === "single" ? files[0] : undefined,
+    files: layout === "array" ? files : grouped,
+  };
+}
+
+function isTransientFailure(statusCode, failure) {
+  if (failure) return true; // thrown, timed out or destroyed mid-stream
+  return statusCode >= 500 && statusCode !== 501;
+}
+
+// Log lines from the run carry the submitting request's ID and the job ID
+function startJob(job) {
+  return logContext.run({ requestId: job.requestId, jobId: job.id }, () => runJobAttempt(job));
+}
+
+async function runJobAttempt(job) {
+  claimSlot(job.tool);
+  job.status = "running";
+  job.attempts++;
+  job.startedAt = Date.now();
+  job.retryAt = null;
+  job.progress = 0;
+  await saveJob(job);
+  if (job.attempts === 1) {
+    observeMetric("queue_wait_seconds", { tool: job.tool }, (job.startedAt - job.createdAt) / 1000);
+  }
+  logger.info("Running job", { tool: job.tool, attempt: job.attempts, maxAttempts: job.maxAttempts });
+
+  let jobReq;
+  try {
+    jobReq = await buildJobRequest(job);
+  } catch (error) {
+    return settleJob(job, { statusCode: 500, failure: error });
+  }
+
+  const jobRes = createJobResponse(job);
+  jobRes.deadline = Date.now() + JOB_TIMEOUT;
+  let failure = null;
+
+  const timeout = setTimeout(() => {
+    incMetric("timeouts_total", { kind: "job" });
+    jobRes.destroy(new Error("Job timed out"));
+  }, JOB_TIMEOUT);
+
+  jobRes.on("error", (error) => {
+    failure = failure || error;
+  });
+
+  jobRes.once("close", () => {
+    clearTimeout(timeout);
+    settleJob(job, {
+      statusCode: jobRes.statusCode,
+      body: jobRes.body,
+      headers: jobRes.headers,
+      failure: failure || (jobRes.writableFinished ? null : new Error("Handler did not complete")),
+    });
+  });
+
+  const handler = toolHandlers[job.tool];
+  Promise.resolve()
+    .then(() => handler(jobReq, jobRes))
+    .catch((error) => jobRes.destroy(error));
+}
+
+// finishJob can fail on its own (e.g. the result vanished from disk);
+// the job must still end and never be left "running"
+function settleJob(job, outcome) {
+  return finishJob(job, outcome).catch(async (error) => {
+    logger.error("Could not finish job", { jobId: job.id, error: error.message });
+    job.status = "failed";
+    job.finishedAt = Date.now();
+    job.expiresAt = job.finishedAt + JOB_RESULT_TTL;
+    job.error = { error: "Job failed", details: error.message };
+    jobSecrets.delete(job.id);
+    await safeUnlink(job.resultPath);
+    await safeRmdir(jobInputDir(job.id));
+    await saveJob(job);
+    if (job.callback) scheduleCallback(job, 0);
+  });
+}
+
+async function finishJob(job, { statusCode, body, headers, failure }) {
+  try {
+    await recordJobOutcome(job, { statusCode, body, headers, failure });
+    incMetric("jobs_total", { tool: job.tool, status: job.status === "queued" ? "retrying" : job.status });
+  } finally {
+    releaseSlot(job.tool);
+    observeMetric("job_duration_seconds", { tool: job.tool }, (Date.now() - job.startedAt) / 1000);
+    logger.info("Job finished", { jobId: job.id, tool: job.tool, status: job.status, active: activeRequests, queued: requestQueue.length });
+    processNextInQueue();
+  }
+}
+
+async function recordJobOutcome(job, { statusCode, body, headers, failure }) {
+  const succeeded = !failure && statusCode < 400;
+
+  if (succeeded) {
+    job.status = "done";
+    job.progress = 1;
+    job.finishedAt = Date.now();
+    job.expiresAt = job.finishedAt + JOB_RESULT_TTL;
+    job.result = {
+      contentType: headers["content-type"] || "application/octet-stream",
+      headers,
+      size: (await fs.stat(job.resultPath)).size,
+      pageCount: await countResultPages(job.resultPath, headers),
+    };
+    await safeRmdir(jobInputDir(job.id));
+  } else {
+    await safeUnlink(job.resultPath);
+    job.error = body || {
+      error: "Job failed",
+      details: failure ? failure.message : `Handler responded with ${statusCode}`,
+    };
+
+    if (isTransientFailure(statusCode, failure) && job.attempts < job.maxAttempts) {
+      job.status = "queued";
+      job.retryAt = Date.now() + JOB_RETRY_BASE_DELAY * 2 ** (job.attempts - 1);
+      logger.warn("Job will retry", { jobId: job.id, retryInSeconds: Math.round((job.retryAt - Date.now()) / 1000) });
+    } else {
+      job.status = "failed";
+      job.finishedAt = Date.now();
+      job.expiresAt = job.finishedAt + JOB_RESULT_TTL;
+      await safeRmdir(jobInputDir(job.id));
+    }
+  }
+
+  if (job.finishedAt) jobSecrets.delete(job.id);
+  await saveJob(job);
+
+  if (job.callback && job.finishedAt) {
+    scheduleCallback(job, 0);
+  }
+}
+
+// Queued jobs ready to run, best first: priority, then age
+function runnableJobs(now = Date.now()) {
+  return [...jobs.values()]
+    .filter((job) => job.status === "queued" && (!job.retryAt || job.retryAt <= now))
+    .sort((a, b) => b.priority - a.priority || a.createdAt - b.createdAt);
+}
+
+function jobInputBytes(job) {
+  return job.request.files.reduce((total, file) => total + (file.size || 0), 0);
+}
+
+function runNextJob() {
+  // Same admission order from every caller: waiting HTTP requests first
+  if (shuttingDown || requestQueue.length > 0) return;
+
+  const runnable = runnableJobs();
+  if (runnable.length > 0) {
+    // Best first; stop at the first that doesn't fit so it isn't starved
+    for (const job of runnable) {
+      if (!canAdmit(job.tool, jobInputBytes(job))) break;
+      startJob(job);
+    }
+    return;
+  }
+
+  // Nothing ready: wake up for the earliest pending retry
+  const retryTimes = [...jobs.values()]
+    .filter((queued) => queued.status === "queued" && queued.retryAt)
+    .map((queued) => queued.retryAt);
+  if (retryTimes.length > 0 && !retryTimer) {
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      runNextJob();
+    }, Math.max(0, Math.min(...retryTimes) - Date.now()));
+  }
+}
+
+async function enqueueJob(tool, req, res) {
+  const id = crypto.randomUUID();
+  const config = TOOL_QUEUE_CONFIG[tool] || DEFAULT_QUEUE_CONFIG;
+  const uploaded = uploadedFileList(req);
+
+  let callback = null;
+  const callbackUrl = callbackUrlOf(req);
+  if (callbackUrl) {
+    const problem = await checkCallbackUrl(callbackUrl);
+    if (problem) {
+      await cleanupFiles(...uploaded.map((f) => f.path));
+      return res.status(problem.status).json(problem.body);
+    }
+    callback = {
+      url: callbackUrl,
+      baseUrl: process.env.PUBLIC_URL.replace(/\/+$/, ""),
+      attempts: 0,
+      delivered: false,
+      lastError: null,
+      nextAttemptAt: null,
+    };
+  }
+
+  try {
+    // Move uploads out of reach of the cleanup sweep
+    await fs.mkdir(jobInputDir(id), { recursive: true });
+    const files = [];
+    for (const file of uploaded) {
+      const storedPath = path.join(jobInputDir(id), path.basename(file.path));
+      await moveFile(file.path, storedPath);
+      files.push({
+        fieldname: file.fieldname,
+        originalname: file.originalname,
+        mimetype: file.mimetype,
+        size: file.size,
+        path: storedPath,
+      });
+    }
+
+    const { stored, secrets } = splitJobSecrets(req.body || {});
+    const job = {
+      id,
+      tool,
+      status: "queued",
+      priority: config.priority,
+      attempts: 0,
+      maxAttempts: config.maxAttempts,
+      progress: 0,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: null,
+      retryAt: null,
+      requestId: req.id,
+      request: {
+        layout: uploadLayout(req),
+        files,
+        body: stored,
+        hasSecrets: Boolean(secrets),
+        query: { ...req.query },
+        tools: (req.client && req.client.limits.tools) || null,
+      },
+      resultPath: path.join(outputDir, `job-${id}.result`),
+      result: null,
+      error: null,
+      callback,
+    };
+    jobs.set(id, job);
+    if (secrets) jobSecrets.set(id, secrets);
+    await saveJob(job);
+
+    res.status(202).json(describeJob(job));
+    processNextInQueue();
+  } catch (error) {
+    logger.error("Could not queue job", { tool, error: error.message });
+    await cleanupFiles(...uploaded.map((f) => f.path));
+    await safeRmdir(jobInputDir(id));
+    jobs.delete(id);
+    jobSecrets.delete(id);
+    res.status(500).json({ error: "Could not queue job", details: error.message });
+  }
+}
+
+// Waiting HTTP requests are served first, then jobs ahead in priority order
+function jobQueuePosition(job) {
+  const index = runnableJobs().indexOf(job);
+  return requestQueue.length + (index === -1 ? 0 : index) + 1;
+}
+
+function describeJob(job) {
+  return {
+    id: job.id,
+    tool: job.tool,
+    status: job.status,
+    progress: Math.round(job.progress * 100) / 100,
+    position: job.status === "queued" ? jobQueuePosition(job) : 0,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    createdAt: new Date(job.createdAt).toISOString(),
+    startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    retryAt: job.retryAt ? new Date(job.retryAt).toISOString() : null,
+    expiresAt: job.expiresAt ? new Date(job.expiresAt).toISOString() : null,
+    statusUrl: `/api/jobs/${job.id}`,
+    resultUrl: job.status === "done" ? `/api/jobs/${job.id}/result` : null,
+    result: job.result && {
+      size: job.result.size,
+      contentType: job.result.contentType,
+      pageCount: job.result.pageCount,
+    },
+    error: job.error,
+    callback: job.callback && {
+      delivered: job.callback.delivered,
+      attempts: job.callback.attempts,
+      lastError: job.callback.lastError,
+    },
+  };
+}
+
+// Reload job records on startup. Jobs that were running when the
+// process died go back to the queue (the attempt still counts), except
+// those whose passwords were lost with the process.
+async function loadJobs() {
+  let entries;
+  try {
+    entries = await fs.readdir(jobsDir);
+  } catch (error) {
+    return;
+  }
+
+  for (const entry of entries.filter((name) => name.endsWith(".json"))) {
+    try {
+      const job = JSON.parse(await fs.readFile(path.join(jobsDir, entry), "utf8"));
+      job.progress = job.status === "done" ? 1 : 0;
+
+      const unfinished = job.status === "running" || job.status === "queued";
+      let interrupted = null;
+      if (unfinished && job.request.hasSecrets) {
+        interrupted = "Interrupted by a server restart. Passwords are not kept on disk; submit the job again.";
+      } else if (job.status === "running" && job.attempts >= job.maxAttempts) {
+        interrupted = "Interrupted by a server restart";
+      }
+
+      if (interrupted) {
+        job.status = "failed";
+        job.finishedAt = Date.now();
+        job.expiresAt = job.finishedAt + JOB_RESULT_TTL;
+        job.error = { error: "Job failed", details: interrupted };
+        await safeRmdir(jobInputDir(job.id));
+        await saveJob(job);
+        if (job.callback) scheduleCallback(job, 0);
+      } else if (job.status === "running") {
+        job.status = "queued";
+        await saveJob(job);
+      }
+
+      jobs.set(job.id, job);
+
+      // Pick up webhook deliveries that were still being retried
+      if (job.callback && job.finishedAt && !job.callback.delivered && job.callback.nextAttemptAt) {
+        scheduleCallback(job, Math.max(0, job.callback.nextAttemptAt - Date.now()));
+      }
+    } catch (error) {
+      logger.error("Could not load job record", { file: entry, error: error.message });
+    }
+  }
+
+  const pending = [...jobs.values()].filter((job) => job.status === "queued").length;
+  if (jobs.size > 0) {
+    logger.info("Loaded jobs", { total: jobs.size, pending });
+  }
+}
+
+// Wrap a tool handler so ?async=true (or a callbackUrl) turns it into a job.
+// `precheck` (optional) throws an httpError for requests the handler would
+// refuse outright, so they get their 4xx now rather than a failed job later.
+function jobCapable(tool, precheck, handler) {
+  if (!handler) {
+    handler = precheck;
+    precheck = null;
+  }
+  toolHandlers[tool] = handler;
+  return async (req, res) => {
+    if (isAsyncRequest(req)) {
+      try {
+        if (precheck) precheck(req);
+      } catch (error) {
+        await cleanupFiles(...uploadedFileList(req).map((file) => file.path));
+        return res.status(error.status).json({ error: error.title, message: error.message, ...error.extra });
+      }
+      return enqueueJob(tool, req, res);
+    }
+    return handler(req, res);
+  };
+}
+
+// Page count for PDF results, reported in job status and webhooks. Tools
+// that build the PDF with pdf-lib say so in X-Page-Count; for the rest
+// qpdf reads the page tree without loading the whole file into memory.
+async function countResultPages(resultPath, headers) {
+  if (headers["content-type"] !== "application/pdf") return null;
+  const reported = parseInt(headers["x-page-count"]);
+  if (reported > 0) return reported;
+  try {
+    const { stdout } = await runProcess("qpdf", ["--show-npages", resultPath], {
+      timeout: 10000,
+      memoryMB: 256,
+      quiet: true,
+    });
+    return parseInt(stdout.toString()) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// ============================================
+// WEBHOOK CALLBACKS
+// When a job with a callbackUrl finishes we POST a JSON summary to it,
+// signed with WEBHOOK_SECRET:
+//   X-GetPDFpress-Signature: sha256=HMAC(secret, `${timestamp}.${body}`)
+// Deliveries are retried with backoff while the result is still
+// downloadable; delivery state lives in the job record.
+// ============================================
+const WEBHOOK_TIMEOUT = 10000;
+const WEBHOOK_RETRY_DELAYS = [5000, 15000, 45000, 135000]; // all inside JOB_RESULT_TTL
+
+function callbackUrlOf(req) {
+  return req.query.callbackUrl || (req.body && req.body.callbackUrl) || null;
+}
+
+// Callbacks must not reach the server's own network (cloud metadata,
+// localhost, private services). Hosts are resolved and checked when the
+// job is submitted, and deliveries connect through publicOnlyLookup so
+// the address that passed the check is the one dialled, even if DNS
+// now answers differently.
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, "ipv6"));
+
+function isPrivateAddress({ address, family }) {
+  return PRIVATE_NETWORKS.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+// Returns why the host can't be called back, or null
+async function callbackHostProblem(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = await dns.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    return `Could not resolve ${host}.`;
+  }
+  return addresses.some(isPrivateAddress) ? `${host} resolves to a private or reserved address.` : null;
+}
+
+// dns.lookup for the http(s) agent that fails instead of handing back a
+// private address, so a rebinding answer after the check gets nowhere
+function publicOnlyLookup(hostname, options, callback) {
+  dnsLookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(isPrivateAddress)) {
+      const blocked = new Error(`${hostname} resolves to a private or reserved address.`);
+      blocked.code = "EPRIVATEADDRESS";
+      return callback(blocked);
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Resolves to the response status. fetch() can't pin name resolution,
+// so this uses http(s).request; redirects are never followed.
+function postCallback(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === "https:" ? https : http;
+    const request = client.request(
+      target,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: publicOnlyLookup,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT),
+      },
+      (response) => {
+        response.resume();
+        response.on("end", () => resolve(response.statusCode));
+        response.on("error", reject);
+      }
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+// Returns { status, body } describing why the URL cannot be used, or null.
+// Download links in the payload are built from PUBLIC_URL, never the
+// request's Host header, which the client controls.
+async function checkCallbackUrl(callbackUrl) {
+  if (!process.env.WEBHOOK_SECRET || !process.env.PUBLIC_URL) {
+    return {
+      status: 501,
+      body: {
+        error: "Feature not available",
+        message: "Webhook callbacks require WEBHOOK_SECRET and PUBLIC_URL to be configured.",
+      },
+    };
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(callbackUrl);
+  } catch (error) {
+    parsed = null;
+  }
+  if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+    return {
+      status: 400,
+      body: { error: "Invalid callbackUrl", message: "callbackUrl must be an http(s) URL." },
+    };
+  }
+
+  const hostProblem = await callbackHostProblem(parsed.hostname);
+  if (hostProblem) {
+    return {
+      status: 400,
+      body: { error: "Invalid callbackUrl", message: hostProblem },
+    };
+  }
+  return null;
+}
+
+function signWebhook(timestamp, body) {
+  return crypto
+    .createHmac("sha256", process.env.WEBHOOK_SECRET)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+function webhookPayload(job) {
+  const done = job.status === "done";
+  return {
+    event: done ? "job.completed" : "job.failed",
+    jobId: job.id,
+    tool: job.tool,
+    status: job.status,
+    createdAt: new Date(job.createdAt).toISOString(),
+    finishedAt: new Date(job.finishedAt).toISOString(),
+    output: done
+      ? {
+          size: job.result.size,
+          contentType: job.result.contentType,
+          pageCount: job.result.pageCount,
+          downloadUrl: `${job.callback.baseUrl}/api/jobs/${job.id}/result`,
+          expiresAt: new Date(job.expiresAt).toISOString(),
+        }
+      : null,
+    error: done ? null : job.error,
+  };
+}
+
+function scheduleCallback(job, delay) {
+  setTimeout(() => {
+    deliverCallback(job).catch((error) => {
+      logger.error("Webhook error", { jobId: job.id, error: error.message });
+    });
+  }, delay);
+}
+
+async function deliverCallback(job) {
+  // The job may have expired while we were waiting to retry
+  if (!jobs.has(job.id) || job.callback.delivered) return;
+
+  const body = JSON.stringify(webhookPayload(job));
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  job.callback.attempts++;
+
+  try {
+    // IP literals never go through the lookup, so they are checked here
+    const hostProblem = await callbackHostProblem(new URL(job.callback.url).hostname);
+    if (hostProblem) {
+      throw new Error(hostProblem);
+    }
+
+    const status = await postCallback(
+      job.callback.url,
+      {
+        "Content-Type": "application/json",
+        "User-Agent": "getPDFpress-webhook/1.0",
+        "X-GetPDFpress-Event": job.status === "done" ? "job.completed" : "job.failed",
+        "X-GetPDFpress-Delivery": `${job.id}-${job.callback.attempts}`,
+        "X-GetPDFpress-Timestamp": timestamp,
+        "X-GetPDFpress-Signature": `sha256=${signWebhook(timestamp, body)}`,
+      },
+      body
+    );
+
+    if (status < 200 || status >= 300) {
+      throw new Error(`Callback responded with ${status}`);
+    }
+
+    job.callback.delivered = true;
+    job.callback.lastError = null;
+    job.callback.nextAttemptAt = null;
+    logger.info("Webhook delivered", { jobId: job.id, attempts: job.callback.attempts });
+  } catch (error) {
+    job.callback.lastError = error.message;
+    const delay = WEBHOOK_RETRY_DELAYS[job.callback.attempts - 1];
+
+    if (delay !== undefined) {
+      job.callback.nextAttemptAt = Date.now() + delay;
+      logger.warn("Webhook failed, will retry", { jobId: job.id, error: error.message, retryInSeconds: delay / 1000 });
+      scheduleCallback(job, delay);
+    } else {
+      job.callback.nextAttemptAt = null;
+      logger.error("Webhook gave up", { jobId: job.id, attempts: job.callback.attempts });
+    }
+  }
+
+  await saveJob(job);
+}
+
+// ================================
+// Multer: REDUCED file size limit for free tier
+// ================================
+const sanitize = (name) => name.replace(/[^a-zA-Z0-9._-]/g, "_");
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, uploadsDir);
+  },
+  filename: (req, file, cb) => {
+    const ext = path.extname(file.originalname) || "";
+    const base = path.basename(file.originalname, ext);
+    const filename = `${Date.now()}-${sanitize(base)}${ext.toLowerCase()}`;
+    // Remembered so a cancelled request can remove half-written uploads
+    req.uploadPaths = [...(req.uploadPaths || []), path.join(uploadsDir, filename)];
+    cb(null, filename);
+  },
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: 25 * 1024 * 1024 }, // REDUCED to 25MB for free tier
+});
+for (const method of ["single", "array", "fields"]) {
+  const createMiddleware = upload[method].bind(upload);
+  upload[method] = (...args) => keepLogContext(createMiddleware(...args));
+}
+
+// Every uploaded file, whether the route used single(), array() or fields()
+function uploadedFileList(req) {
+  if (Array.isArray(req.files)) return req.files;
+  if (req.files) return Object.values(req.files).flat();
+  return req.file ? [req.file] : [];
+}
+
+function uploadLayout(req) {
+  if (Array.isArray(req.files)) return "array";
+  return req.files ? "fields" : "single";
+}
+
+// ============================================
+// REQUEST ID & ACCESS LOG
+// Every response carries X-Request-Id (a caller's own ID is reused if
+// it looks sane), and every log line written while handling it
+// includes the same ID. Tool routes also feed the per-tool metrics.
+// ============================================
+app.use((req, res, next) => {
+  const incoming = req.headers["x-request-id"];
+  req.id = typeof incoming === "string" && /^[\w.:-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  req.receivedAt = Date.now();
+  res.set("X-Request-Id", req.id);
+
+  res.once("close", () => {
+    const durationMs = Date.now() - req.receivedAt;
+    const status = res.writableEnded ? res.statusCode : "cancelled";
+    const tool = metricsTool(req);
+    if (tool) {
+      incMetric("requests_total", { tool, status });
+      // Async submissions are timed as jobs instead
+      if (!isAsyncRequest(req)) {
+        observeMetric("request_duration_seconds", { tool }, durationMs / 1000);
+      }
+    }
+    logger.info("Request finished", {
+      requestId: req.id,
+      method: req.method,
+      path: requestPath(req),
+      status,
+      durationMs,
+      tool: tool || undefined,
+      apiKey: req.client && req.client.record ? req.client.record.id : undefined,
+    });
+  });
+
+  logContext.run({ requestId: req.id }, next);
+});
+
+app.use(
+  cors({
+    origin: "*",
+    methods: ["GET", "POST", "PATCH", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key", "X-Request-Id", "Range"],
+    exposedHeaders: [
+      "Content-Disposition",
+      "X-Request-Id",
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+      "Retry-After",
+      "X-Original-Size",
+      "X-Compressed-Size",
+      "X-Compression-Ratio",
+      "X-Compression-Method",
+      "X-Page-Count",
+      "X-Compression-Settings",
+      "X-Compression-Target-Reached",
+      "X-Pipeline-Steps",
+      "X-OCR-Pages",
+      "X-OCR-Skipped-Pages",
+    ],
+  }),
+);
+app.use(keepLogContext(express.json({ limit: '10mb' })));
+
+// Registered ahead of the HTTPS redirect so an in-cluster scraper can
+// use plain HTTP, which is why it is off until METRICS_TOKEN is set
+// and then requires it as a Bearer token.
+app.get("/metrics", (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) {
+    return res.status(501).json({
+      error: "Metrics disabled",
+      message: "Set METRICS_TOKEN to enable /metrics.",
+    });
+  }
+
+  const presented = Buffer.from(req.headers.authorization || "");
+  const expected = Buffer.from(`Bearer ${token}`);
+  if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+// ============================================
+// CANONICAL DOMAIN ENFORCEMENT
+// Force HTTPS + non-www in ONE redirect
+// ============================================
+app.use((req, res, next) => {
+  const host = req.headers.host || '';
+  const protocol = req.headers['x-forwarded-proto'] || req.protocol;
+  
+  // Check if we need to redirect
+  const isWWW = host.startsWith('www.');
+  const isHTTP = protocol === 'http';
+  
+  // If either condition is true, redirect to canonical
+  if (isWWW || isHTTP) {
+    const canonicalHost = host.replace(/^www\./, '');
+    const canonicalURL = `https://${canonicalHost}${req.originalUrl}`;
+    
+    logger.info("Redirecting to canonical URL", { from: `${protocol}://${host}${req.originalUrl}`, to: canonicalURL });
+    return res.redirect(301, canonicalURL);
+  }
+  
+  next();
+});
+
+app.use(express.static("public"));
+
+// ============================================
+// API KEYS & RATE LIMITS
+// Keys are optional. Sent as `X-API-Key: <key>` or
+// `Authorization: Bearer <key>`, a key brings its own limits; callers
+// without one share stricter anonymous limits, counted per IP.
+//   requestsPerMinute  fixed one-minute window
+//   dailyMB            uploaded megabytes per UTC day
+//   maxFileSizeMB      per uploaded file
+//   tools              allowed tool names, or null for all
+// Keys are stored in API_KEYS_FILE as SHA-256 hashes; the key itself is
+// only shown once, when created through /api/admin/keys (ADMIN_TOKEN).
+// ============================================
+const apiKeysFile = process.env.API_KEYS_FILE || path.join(__dirname, "api-keys.json");
+const MB = 1024 * 1024;
+const RATE_LIMIT_WINDOW = 60 * 1000;
+const ANONYMOUS_LIMITS = {
+  requestsPerMinute: parseInt(process.env.ANON_REQUESTS_PER_MINUTE) || 10,
+  dailyMB: parseInt(process.env.ANON_DAILY_MB) || 100,
+  maxFileSizeMB: parseInt(process.env.ANON_MAX_FILE_MB) || 10,
+  tools: null,
+};
+const DEFAULT_KEY_LIMITS = {
+  requestsPerMinute: 60,
+  dailyMB: 2048,
+  maxFileSizeMB: 25,
+  tools: null,
+};
+
+const apiKeys = new Map(); // id -> { id, name, keyHash, prefix, createdAt, disabled, limits, usage }
+const rateWindows = new Map(); // client id -> { start, count }
+const anonymousUsage = new Map(); // ip -> { day, bytes }
+let apiKeySaveTimer = null;
+let apiKeySaving = Promise.resolve();
+
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function utcDay(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function secondsUntilUtcMidnight(now = Date.now()) {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((midnight.getTime() - now) / 1000);
+}
+
+async function loadApiKeys() {
+  try {
+    const { keys } = JSON.parse(await fs.readFile(apiKeysFile, "utf8"));
+    for (const record of keys) apiKeys.set(record.id, record);
+    logger.info("Loaded API keys", { total: apiKeys.size });
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      logger.error("Could not load API keys", { error: error.message });
+    }
+  }
+}
+
+// Writes are chained so an older snapshot never lands after a newer one
+function saveApiKeys() {
+  clearTimeout(apiKeySaveTimer);
+  apiKeySaveTimer = null;
+  const snapshot = JSON.stringify({ keys: [...apiKeys.values()] }, null, 2);
+  apiKeySaving = apiKeySaving.then(async () => {
+    const tmpPath = `${apiKeysFile}.tmp`;
+    try {
+      await fs.writeFile(tmpPath, snapshot, { mode: 0o600 });
+      await fs.rename(tmpPath, apiKeysFile);
+    } catch (error) {
+      logger.error("Could not persist API keys", { error: error.message });
+    }
+  });
+  return apiKeySaving;
+}
+
+// Usage counters change on every request; batch those writes
+function scheduleApiKeySave() {
+  if (!apiKeySaveTimer) {
+    apiKeySaveTimer = setTimeout(saveApiKeys, 5000);
+  }
+}
+
+function presentedApiKey(req) {
+  const header = req.headers["x-api-key"];
+  if (header) return String(header).trim();
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  return match ? match[1].trim() : null;
+}
+
+function findApiKey(key) {
+  const keyHash = hashApiKey(key);
+  for (const record of apiKeys.values()) {
+    if (record.keyHash === keyHash) return record;
+  }
+  return null;
+}
+
+function describeApiKey(record) {
+  const window = rateWindows.get(`key:${record.id}`);
+  const today = utcDay();
+  return {
+    id: record.id,
+    name: record.name,
+    prefix: record.prefix,
+    createdAt: record.createdAt,
+    disabled: record.disabled,
+    limits: { ...DEFAULT_KEY_LIMITS, ...record.limits },
+    usage: {
+      day: today,
+      bytes: record.usage && record.usage.day === today ? record.usage.bytes : 0,
+      requestsThisMinute: window && Date.now() - window.start < RATE_LIMIT_WINDOW ? window.count : 0,
+    },
+  };
+}
+
+function limitError(res, status, body) {
+  return res.status(status).json(body);
+}
+
+function quotaExceeded(res, client, now = Date.now()) {
+  const retryAfter = secondsUntilUtcMidnight(now);
+  res.set("Retry-After", retryAfter);
+  return limitError(res, 429, {
+    error: "Daily quota exceeded",
+    code: "QUOTA_EXCEEDED",
+    message: `Daily limit is ${client.limits.dailyMB}MB of uploads. It resets at 00:00 UTC.`,
+    retryAfter,
+  });
+}
+
+// Today's upload counter for the caller, reset at 00:00 UTC
+function dailyUsage(client, ip, now = Date.now()) {
+  const today = utcDay(now);
+  let daily = client.record ? client.record.usage : anonymousUsage.get(ip);
+  if (!daily || daily.day !== today) {
+    daily = { day: today, bytes: 0 };
+    if (client.record) client.record.usage = daily;
+    else anonymousUsage.set(ip, daily);
+  }
+  return daily;
+}
+
+// Charges what was actually received (Content-Length may be absent with
+// chunked uploads). Returns false once the upload took the caller past
+// the quota; the bytes still count, since they were transferred.
+function chargeUploadedBytes(req, bytes) {
+  if (!req.client) return true;
+  const daily = dailyUsage(req.client, req.ip);
+  daily.bytes += bytes;
+  if (req.client.record) scheduleApiKeySave();
+  return daily.bytes <= req.client.limits.dailyMB * MB;
+}
+
+// Mounted in front of the queue on every processing route, so rejected
+// callers never take a slot. The caller's identity and limits are left
+// on req.client for later checks (file size, pipeline steps).
+function apiAccessMiddleware(req, res, next) {
+  const key = presentedApiKey(req);
+  let client;
+
+  if (key) {
+    const record = findApiKey(key);
+    if (!record || record.disabled) {
+      return limitError(res, 401, {
+        error: "Invalid API key",
+        code: "INVALID_API_KEY",
+        message: "The API key is unknown or has been disabled.",
+      });
+    }
+    client = { id: `key:${record.id}`, record, limits: { ...DEFAULT_KEY_LIMITS, ...record.limits } };
+  } else {
+    client = { id: `ip:${req.ip}`, record: null, limits: ANONYMOUS_LIMITS };
+  }
+  req.client = client;
+
+  const tool = requestTool(req);
+  if (client.limits.tools && !client.limits.tools.includes(tool)) {
+    return limitError(res, 403, {
+      error: "Tool not allowed",
+      code: "TOOL_NOT_ALLOWED",
+      message: `This API key cannot use ${tool}.`,
+    });
+  }
+
+  // Requests per minute
+  const now = Date.now();
+  let window = rateWindows.get(client.id);
+  if (!window || now - window.start >= RATE_LIMIT_WINDOW) {
+    window = { start: now, count: 0 };
+    rateWindows.set(client.id, window);
+  }
+  const limit = client.limits.requestsPerMinute;
+  const resetSeconds = Math.ceil((window.start + RATE_LIMIT_WINDOW - now) / 1000);
+  res.set({
+    "RateLimit-Limit": limit,
+    "RateLimit-Remaining": Math.max(0, limit - window.count - 1),
+    "RateLimit-Reset": resetSeconds,
+  });
+  if (window.count >= limit) {
+    res.set({ "RateLimit-Remaining": 0, "Retry-After": resetSeconds });
+    return limitError(res, 429, {
+      error: "Too many requests",
+      code: "RATE_LIMITED",
+      message: `Limit is ${limit} requests per minute. Try again in ${resetSeconds}s.`,
+      retryAfter: resetSeconds,
+    });
+  }
+
+  // Uploaded bytes per day. A declared Content-Length lets us refuse
+  // before reading the body; the files are charged in validateUploads.
+  const daily = dailyUsage(client, req.ip, now);
+  const declared = parseInt(req.headers["content-length"]) || 0;
+  if (daily.bytes >= client.limits.dailyMB * MB || daily.bytes + declared > client.limits.dailyMB * MB) {
+    return quotaExceeded(res, client, now);
+  }
+
+  window.count++;
+  next();
+}
+
+// Forget anonymous callers once their window and day have passed
+setInterval(() => {
+  const now = Date.now();
+  const today = utcDay(now);
+  for (const [id, window] of rateWindows) {
+    if (now - window.start >= RATE_LIMIT_WINDOW) rateWindows.delete(id);
+  }
+  for (const [ip, daily] of anonymousUsage) {
+    if (daily.day !== today) anonymousUsage.delete(ip);
+  }
+}, 10 * 60 * 1000);
+
+// ============================================
+// ADMIN: API KEY MANAGEMENT
+// Authorization: Bearer <ADMIN_TOKEN>. Disabled without ADMIN_TOKEN.
+// ============================================
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return res.status(501).json({
+      error: "Admin API disabled",
+      message: "Set ADMIN_TOKEN to manage API keys.",
+    });
+  }
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  const presented = Buffer.from(match ? match[1].trim() : "");
+  const expected = Buffer.from(token);
+  if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  next();
+}
+
+// Validates a partial limits object; omitted fields fall back to defaults
+function parseKeyLimits(input) {
+  if (input === undefined) return {};
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw badRequest("limits must be an object");
+  }
+
+  const limits = {};
+  for (const field of ["requestsPerMinute", "dailyMB", "maxFileSizeMB"]) {
+    if (input[field] !== undefined) {
+      limits[field] = parseNumber(input[field], field, { min: 1, max: 1000000 });
+    }
+  }
+  if (input.tools !== undefined) {
+    const known = [...Object.keys(TOOLS), "pipeline"];
+    if (input.tools !== null && (!Array.isArray(input.tools) || input.tools.some((tool) => !known.includes(tool)))) {
+      throw badRequest(`tools must be null or an array of: ${known.join(", ")}`);
+    }
+    limits.tools = input.tools;
+  }
+  return limits;
+}
+
+function adminRoute(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.title, message: error.message });
+      }
+      logger.error("Admin request failed", { error: error.message });
+      res.status(500).json({ error: "Admin request failed", details: error.message });
+    }
+  };
+}
+
+app.get("/api/admin/keys", requireAdmin, (req, res) => {
+  res.json({ keys: [...apiKeys.values()].map(describeApiKey) });
+});
+
+app.post("/api/admin/keys", requireAdmin, adminRoute(async (req, res) => {
+  const { name, limits } = req.body || {};
+  if (!name || typeof name !== "string") {
+    throw badRequest("name is required");
+  }
+
+  const key = `gpp_${crypto.randomBytes(24).toString("base64url")}`;
+  const record = {
+    id: crypto.randomUUID(),
+    name,
+    keyHash: hashApiKey(key),
+    prefix: key.slice(0, 8),
+    createdAt: Date.now(),
+    disabled: false,
+    limits: parseKeyLimits(limits),
+    usage: { day: utcDay(), bytes: 0 },
+  };
+  apiKeys.set(record.id, record);
+  await saveApiKeys();
+
+  logger.info("API key created", { keyId: record.id, name: record.name, prefix: record.prefix });
+  res.status(201).json({ ...describeApiKey(record), key });
+}));
+
+app.patch("/api/admin/keys/:id", requireAdmin, adminRoute(async (req, res) => {
+  const record = apiKeys.get(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: "API key not found" });
+  }
+
+  const { name, limits, disabled } = req.body || {};
+  if (name !== undefined) {
+    if (!name || typeof name !== "string") throw badRequest("name must be a non-empty string");
+    record.name = name;
+  }
+  if (limits !== undefined) record.limits = { ...record.limits, ...parseKeyLimits(limits) };
+  if (disabled !== undefined) record.disabled = Boolean(disabled);
+  await saveApiKeys();
+
+  res.json(describeApiKey(record));
+}));
+
+app.delete("/api/admin/keys/:id", requireAdmin, adminRoute(async (req, res) => {
+  const record = apiKeys.get(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: "API key not found" });
+  }
+
+  apiKeys.delete(record.id);
+  rateWindows.delete(`key:${record.id}`);
+  await saveApiKeys();
+
+  logger.info("API key deleted", { keyId: record.id, name: record.name, prefix: record.prefix });
+  res.json({ deleted: true, id: record.id });
+}));
+
+// Apply API key limits and the queue to all processing endpoints
+app.use('/api/compress', apiAccessMiddleware, requestQueueMiddleware);
+app.use('/api/merge', apiAccessMiddleware, requestQueueMiddleware);
+app.use('/api/split', apiAccessMiddleware, requestQueueMiddleware);
+app.use('/api/pdf-to-images', apiAccessMiddleware, requestQueueMiddleware);
+app.use('/api/images-to-pdf', apiAccessMiddleware, requestQueueMiddleware);
+app.use('/api/convert', apiAccessMiddleware, requestQueueMiddleware);
+app.use('/api/pdf-to-word', apiAccessMiddleware, requestQueueMiddleware);
+app.use('/api/word-to-pdf', apiAccessMiddleware, requestQueueMiddleware);
+app.use('/api/protect', apiAccessMiddleware, requestQueueMiddleware);
+app.use('/api/unlock', apiAccessMiddleware, requestQueueMiddleware);
+app.use('/api/pipeline', apiAccessMiddleware, requestQueueMiddleware);
+app.use('/api/organize', apiAccessMiddleware, requestQueueMiddleware);
+app.use('/api/watermark', apiAccessMiddleware, requestQueueMiddleware);
+app.use('/api/page-numbers', apiAccessMiddleware, requestQueueMiddleware);
+app.use('/api/metadata', apiAccessMiddleware, requestQueueMiddleware);
+app.use('/api/ocr', apiAccessMiddleware, requestQueueMiddleware);
+app.use('/api/extract/text', apiAccessMiddleware, requestQueueMiddleware);
+app.use('/api/extract/images', apiAccessMiddleware, requestQueueMiddleware);
+app.use('/api/forms', apiAccessMiddleware, requestQueueMiddleware);
+
+// ============================================
+// HELPER: Safe file cleanup (never throws)
+// ============================================
+async function safeUnlink(filePath) {
+  if (!filePath) return;
+  try {
+    await fs.unlink(filePath);
+  } catch (_) {
+    // ignore
+  }
+}
+
+async function safeRmdir(dirPath) {
+  if (!dirPath) return;
+  try {
+    await fs.rm(dirPath, { recursive: true, force: true });
+  } catch (_) {
+    // ignore
+  }
+}
+
+// Cleanup multiple files at once
+async function cleanupFiles(...filePaths) {
+  for (const filePath of filePaths) {
+    await safeUnlink(filePath);
+  }
+}
+
+// ============================================
+// HELPER: Client errors thrown from inside handlers
+// Handlers respond with error.status when it is set
+// ============================================
+// `extra` fields are merged into the JSON error body
+function httpError(status, title, message, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.title = title;
+  error.extra = extra;
+  return error;
+}
+
+function badRequest(message) {
+  return httpError(400, "Invalid request", message);
+}
+
+// ============================================
+// INPUT VALIDATION
+// Uploads are sniffed by content before a tool sees them, so a JPEG
+// sent to /api/merge gets a 415 instead of a parse failure deep in
+// pdf-lib. Rejections carry a stable `code`:
+//   UNSUPPORTED_TYPE  415  not the kind of file the route takes
+//   ENCRYPTED_PDF     422  password-protected (use /api/unlock first)
+//   CORRUPT_PDF       422  looks like a PDF but cannot be parsed
+//   CORRUPT_IMAGE     422  looks like an image but cannot be decoded
+//   TOO_MANY_PAGES    413  more than MAX_PDF_PAGES
+//   DIMENSIONS_TOO_LARGE  413  page or image larger than the limits
+// ============================================
+const MAX_PDF_PAGES = parseInt(process.env.MAX_PDF_PAGES) || 1000;
+const MAX_PAGE_DIMENSION = 14400; // points; the PDF spec's 200 inches
+const MAX_IMAGE_PIXELS = parseInt(process.env.MAX_IMAGE_PIXELS) || 100 * 1000 * 1000;
+
+const INPUT_KINDS = {
+  pdf: "a PDF",
+  image: "an image (JPG, PNG, WebP, TIFF, GIF or HEIC)",
+  document: "an office document (DOC, DOCX, ODT, RTF, XLS, XLSX, ODS, PPT, PPTX or ODP)",
+  text: "a text, Markdown or HTML file",
+};
+
+const ODF_FORMATS = { text: "odt", spreadsheet: "ods", presentation: "odp" };
+const OOXML_PARTS = [["word/document.xml", "docx"], ["xl/workbook.xml", "xlsx"], ["ppt/presentation.xml", "pptx"]];
+
+// Word, Excel and PowerPoint 97-2003 share the OLE2 container; their main
+// stream's name (UTF-16LE, NUL-terminated) in the directory tells them apart
+const OLE_STREAMS = [["WordDocument", "doc"], ["Workbook", "xls"], ["Book", "xls"], ["PowerPoint Document", "ppt"]]
+  .map(([name, format]) => [Buffer.from(`${name}\0`, "utf16le"), format]);
+
+async function oleFormat(handle, size) {
+  const chunk = Buffer.alloc(Math.min(size, 1024 * 1024));
+  const overlap = 64; // a name split across two reads
+  for (let position = 0; position < size; position += chunk.length - overlap) {
+    const { bytesRead } = await handle.read(chunk, 0, chunk.length, position);
+    const view = chunk.subarray(0, bytesRead);
+    const match = OLE_STREAMS.find(([name]) => view.includes(name));
+    if (match) return match[1];
+    if (position + bytesRead >= size) break;
+  }
+  return "doc";
+}
+
+// Valid UTF-8 without NUL bytes; the sample may end mid-character
+function looksLikeText(head) {
+  if (head.length === 0 || head.includes(0)) return false;
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(head, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function inputError(status, code, file, message) {
+  const titles = {
+    415: "Unsupported file type",
+    413: "File too large to process",
+    422: "Unreadable file",
+  };
+  return httpError(status, titles[status], message, { code, file });
+}
+
+// Identify a file from its first bytes (plus a look inside ZIP
+// containers for office formats). Returns e.g. { kind: "pdf", format: "pdf" }.
+async function sniffFile(filePath) {
+  const handle = await fs.open(filePath, "r");
+  try {
+    const { size } = await handle.stat();
+    const head = Buffer.alloc(Math.min(size, 4096));
+    await handle.read(head, 0, head.length, 0);
+
+    const ascii = head.toString("latin1");
+    // Some producers put junk before the header; readers allow 1KB
+    if (ascii.slice(0, 1024).includes("%PDF-")) return { kind: "pdf", format: "pdf" };
+
+    if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return { kind: "image", format: "jpeg" };
+    if (ascii.startsWith("\x89PNG")) return { kind: "image", format: "png" };
+    if (ascii.startsWith("GIF8")) return { kind: "image", format: "gif" };
+    if (ascii.startsWith("RIFF") && ascii.slice(8, 12) === "WEBP") return { kind: "image", format: "webp" };
+    if (ascii.startsWith("II*\0") || ascii.startsWith("MM\0*")) return { kind: "image", format: "tiff" };
+    if (ascii.slice(4, 8) === "ftyp" && /^(heic|heix|hevc|heim|heis|mif1|msf1|avif)$/.test(ascii.slice(8, 12))) {
+      return { kind: "image", format: ascii.slice(8, 12) === "avif" ? "avif" : "heic" };
+    }
+
+    if (ascii.startsWith("{\\rtf")) return { kind: "document", format: "rtf" };
+    if (head.length >= 8 && head.readUInt32BE(0) === 0xd0cf11e0) {
+      return { kind: "document", format: await oleFormat(handle, size) };
+    }
+    if (ascii.startsWith("PK\x03\x04")) {
+      const odf = /application\/vnd\.oasis\.opendocument\.(text|spreadsheet|presentation)/.exec(ascii);
+      if (ascii.slice(30, 38) === "mimetype" && odf) {
+        return { kind: "document", format: ODF_FORMATS[odf[1]] };
+      }
+      // File names live in the local headers and the central directory at the end
+      const tail = Buffer.alloc(Math.min(size, 65536));
+      await handle.read(tail, 0, tail.length, size - tail.length);
+      const names = `${ascii}${tail.toString("latin1")}`;
+      const part = OOXML_PARTS.find(([partName]) => names.includes(partName));
+      if (part) return { kind: "document", format: part[1] };
+      return { kind: "archive", format: "zip" };
+    }
+
+    // Markdown and plain text look alike; only HTML is told apart
+    if (looksLikeText(head)) {
+      const isHtml = /^\s*(<!--[\s\S]*?-->\s*)*<(!doctype\s+html|html|head|body)[\s>]/i.test(head.toString("utf8"));
+      return { kind: "text", format: isHtml ? "html" : "text" };
+    }
+
+    return { kind: "unknown", format: null };
+  } finally {
+    await handle.close();
+  }
+}
+
+async function checkPdf(file, { allowEncrypted }) {
+  const bytes = await fs.readFile(file.path);
+  const encryptedError = () => inputError(422, "ENCRYPTED_PDF", file.name, `${file.name} is password-protected. Unlock it first with /api/unlock.`);
+
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+  } catch (error) {
+    // Encrypted object streams can't be parsed without the password;
+    // that is not corruption, and qpdf can still open the file
+    if (bytes.includes("/Encrypt")) {
+      if (allowEncrypted) return;
+      throw encryptedError();
+    }
+    throw inputError(422, "CORRUPT_PDF", file.name, `${file.name} is damaged and could not be read as a PDF.`);
+  }
+
+  if (pdfDoc.isEncrypted && !allowEncrypted) {
+    throw encryptedError();
+  }
+
+  // pdf-lib is lenient on load; a missing catalog or page tree shows up here
+  let pageSizes;
+  try {
+    pageSizes = pdfDoc.getPages().map((page) => page.getSize());
+  } catch (error) {
+    if (pdfDoc.isEncrypted) {
+      if (allowEncrypted) return;
+      throw encryptedError();
+    }
+    throw inputError(422, "CORRUPT_PDF", file.name, `${file.name} is damaged and could not be read as a PDF.`);
+  }
+
+  const pageCount = pageSizes.length;
+  if (pageCount === 0) {
+    throw inputError(422, "CORRUPT_PDF", file.name, `${file.name} has no pages.`);
+  }
+  if (pageCount > MAX_PDF_PAGES) {
+    throw inputError(413, "TOO_MANY_PAGES", file.name, `${file.name} has ${pageCount} pages; the limit is ${MAX_PDF_PAGES}.`);
+  }
+
+  const oversized = pageSizes.findIndex(({ width, height }) => width > MAX_PAGE_DIMENSION || height > MAX_PAGE_DIMENSION);
+  if (oversized !== -1) {
+    throw inputError(413, "DIMENSIONS_TOO_LARGE", file.name, `Page ${oversized + 1} of ${file.name} is larger than ${MAX_PAGE_DIMENSION} points.`);
+  }
+  return pdfDoc;
+}
+
+async function checkImage(file, format) {
+  let meta;
+  try {
+    meta = await sharp(file.path).metadata();
+  } catch (error) {
+    if (format === "heic") {
+      throw inputError(415, "UNSUPPORTED_TYPE", file.name, `${file.name} is HEIC, which this server cannot decode.`);
+    }
+    throw inputError(422, "CORRUPT_IMAGE", file.name, `${file.name} is damaged and could not be read as an image.`);
+  }
+
+  if (meta.width * meta.height > MAX_IMAGE_PIXELS) {
+    throw inputError(413, "DIMENSIONS_TOO_LARGE", file.name, `${file.name} is ${meta.width}x${meta.height}; the limit is ${MAX_IMAGE_PIXELS} pixels.`);
+  }
+}
+
+// rule: { accepts: "pdf" | "image" | "document" | "text", formats, allowEncrypted }
+// `formats` narrows the kind to specific sniffed formats, e.g. ["xlsx"]
+async function validateFile(file, rule) {
+  const { kind, format } = await sniffFile(file.path);
+  if (kind !== rule.accepts || (rule.formats && !rule.formats.includes(format))) {
+    const found = format ? `a ${format.toUpperCase()} file` : "not a recognised file type";
+    const names = (rule.formats || []).map((name) => name.toUpperCase());
+    const expected = names.length > 1
+      ? `${names.slice(0, -1).join(", ")} or ${names[names.length - 1]}`
+      : names[0] || INPUT_KINDS[rule.accepts];
+    throw inputError(415, "UNSUPPORTED_TYPE", file.name, `${file.name} is ${found}; expected ${expected}.`);
+  }
+
+  // Resolves to the parsed document for PDFs that pdf-lib could read
+  if (kind === "pdf") return checkPdf(file, rule);
+  if (kind === "image") await checkImage(file, format);
+  return null;
+}
+
+// Middleware for upload routes. `rule` may be a function of the request
+// (the pipeline depends on its first step); returning null skips checks.
+// A rule with `forFile(file)` picks a rule per upload (convert goes by
+// each file's extension). Asset fields have fixed rules (see ASSET_FIELDS).
+function validateUploads(rule) {
+  return async (req, res, next) => {
+    const files = uploadedFileList(req);
+    const resolved = typeof rule === "function" ? rule(req) : rule;
+    const maxFileSizeMB = req.client && req.client.limits.maxFileSizeMB;
+
+    try {
+      const received = files.reduce((total, file) => total + file.size, 0);
+      if (!chargeUploadedBytes(req, received)) {
+        await cleanupFiles(...files.map((file) => file.path));
+        return quotaExceeded(res, req.client);
+      }
+
+      for (const file of files) {
+        if (maxFileSizeMB && file.size > maxFileSizeMB * MB) {
+          throw inputError(413, "FILE_TOO_LARGE", path.basename(file.originalname),
+            `${path.basename(file.originalname)} is larger than the ${maxFileSizeMB}MB allowed for this caller.`);
+        }
+        let fileRule = isAssetField(file.fieldname) ? ASSET_FIELDS[file.fieldname] : resolved;
+        if (fileRule && fileRule.forFile) fileRule = fileRule.forFile(file);
+        if (fileRule) {
+          const pdfDoc = await validateFile({ path: file.path, name: path.basename(file.originalname) }, fileRule);
+          // Handed to the tool so it doesn't parse the file a second time;
+          // jobs run later from disk, so don't hold it for them
+          if (pdfDoc && fileRule.reusesPdf && !isAsyncRequest(req)) {
+            file.pdfDoc = pdfDoc;
+          }
+        }
+      }
+      next();
+    } catch (error) {
+      await cleanupFiles(...files.map((file) => file.path));
+      if (!error.status) {
+        logger.error("Validation failed", { error: error.message });
+        return res.status(500).json({ error: "Validation failed", details: error.message });
+      }
+      res.status(error.status).json({ error: error.title, message: error.message, ...error.extra });
+    }
+  };
+}
+
+// ============================================
+// HELPER: Parse page ranges ("all", "1-3,5,8-")
+// Returns 1-based inclusive ranges in the order given
+// ============================================
+function parsePageRanges(spec, totalPages) {
+  const text = spec === undefined || spec === null ? "" : String(spec).trim();
+
+  if (text === "" || text.toLowerCase() === "all") {
+    return [{ start: 1, end: totalPages }];
+  }
+
+  const ranges = [];
+  for (const part of text.split(",")) {
+    const token = part.trim();
+    if (!token) continue;
+
+    let start, end;
+    const match = token.match(/^(\d*)\s*-\s*(\d*)$/);
+    if (/^\d+$/.test(token)) {
+      start = end = parseInt(token, 10);
+    } else if (match && (match[1] || match[2])) {
+      start = match[1] ? parseInt(match[1], 10) : 1;
+      end = match[2] ? parseInt(match[2], 10) : totalPages;
+    } else {
+      throw badRequest(`Invalid page range "${token}"`);
+    }
+
+    if (start < 1 || end > totalPages || start > end) {
+      throw badRequest(`Page range "${token}" is outside 1-${totalPages}`);
+    }
+    ranges.push({ start, end });
+  }
+
+  if (ranges.length === 0) {
+    throw badRequest("No pages selected");
+  }
+  return ranges;
+}
+
+// Form fields arrive as strings: "true", "1", "yes", "on"
+function parseBoolean(value, defaultValue = false) {
+  if (value === undefined || value === null || value === "") return defaultValue;
+  return ["true", "1", "yes", "on"].includes(String(value).trim().toLowerCase());
+}
+
+// JSON fields arrive as JSON strings from forms, or as values in a pipeline step
+function parseJsonField(value, field) {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw badRequest(`${field} must be valid JSON`);
+  }
+}
+
+// Flatten ranges into 0-based page indices
+function rangesToIndices(ranges) {
+  const indices = [];
+  for (const { start, end } of ranges) {
+    for (let n = start; n <= end; n++) {
+      indices.push(n - 1);
+    }
+  }
+  return indices;
+}
+
+// Sorted, de-duplicated 1-based page numbers as [first, last] runs
+function pageRuns(pageNumbers) {
+  const runs = [];
+  for (const pageNumber of [...new Set(pageNumbers)].sort((a, b) => a - b)) {
+    const last = runs[runs.length - 1];
+    if (last && last[1] === pageNumber - 1) {
+      last[1] = pageNumber;
+    } else {
+      runs.push([pageNumber, pageNumber]);
+    }
+  }
+  return runs;
+}
+
+// ============================================
+// HELPER: Stream a ZIP built on the fly
+// Entries are appended one at a time and we wait for each to be
+// consumed before producing the next, so only one is held in memory.
+// A client that stops reading would leave those waits (and finalize)
+// pending forever, so each one also gives up when `signal` aborts.
+// ============================================
+function createZipStream(res, filename) {
+  const archive = archiver("zip", { zlib: { level: 6 } });
+
+  res.set({
+    "Content-Type": "application/zip",
+    "Content-Disposition": `attachment; filename="${filename}"`,
+  });
+
+  archive.on("warning", (err) => logger.warn("ZIP warning", { error: err.message }));
+  // Errors after an abort have nobody waiting on them
+  archive.on("error", (err) => logger.warn("ZIP error", { error: err.message }));
+  archive.pipe(res);
+  return archive;
+}
+
+function appendToZip(archive, source, name, signal) {
+  return new Promise((resolve, reject) => {
+    const done = () => {
+      archive.off("entry", onEntry);
+      archive.off("error", onError);
+      signal.removeEventListener("abort", onAbort);
+    };
+    const onEntry = () => {
+      done();
+      resolve();
+    };
+    const onError = (err) => {
+      done();
+      reject(err);
+    };
+    const onAbort = () => {
+      done();
+      // Release the file descriptor of an entry still being read
+      if (typeof source.destroy === "function") source.destroy();
+      reject(signal.reason);
+    };
+    if (signal.aborted) return onAbort();
+    archive.once("entry", onEntry);
+    archive.once("error", onError);
+    signal.addEventListener("abort", onAbort, { once: true });
+    archive.append(source, { name });
+  });
+}
+
+function finalizeZip(archive, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) return onAbort();
+    signal.addEventListener("abort", onAbort, { once: true });
+    archive.finalize()
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+// Base name of a filename without extension, safe for Content-Disposition
+function outputBaseName(filename) {
+  const ext = path.extname(filename);
+  return sanitize(path.basename(filename, ext)) || "document";
+}
+
+// ============================================
+// PROCESS RUNNER
+// Every external binary (gs, qpdf, libreoffice, tesseract, poppler) runs through
+// runProcess: an argv array and no shell, a wall-clock timeout, memory
+// and CPU caps via prlimit where available, and a process group of its
+// own so a timeout or an aborted request also kills anything the tool
+// forked (LibreOffice's soffice.bin). Each run gets a private TMPDIR
+// and HOME. Failures look like execFile's: error.code is the exit
+// code and error.stderr holds the tail of stderr.
+// ============================================
+const PROCESS_TIMEOUT = 60000;
+const PROCESS_MEMORY_MB = parseInt(process.env.PROCESS_MEMORY_MB) || 1024;
+const PROCESS_CPU_SECONDS = parseInt(process.env.PROCESS_CPU_SECONDS) || 120;
+const PROCESS_STDOUT_LIMIT = 1024 * 1024;
+const PROCESS_STDERR_LIMIT = 16 * 1024;
+const PROCESS_KILL_GRACE = 2000;
+
+let prlimitAvailable = null;
+
+function hasPrlimit() {
+  if (prlimitAvailable === null) {
+    prlimitAvailable = new Promise((resolve) => {
+      const child = spawn("prlimit", ["--version"], { stdio: "ignore" });
+      child.on("error", () => resolve(false));
+      child.on("close", (code) => resolve(code === 0));
+    });
+  }
+  return prlimitAvailable;
+}
+
+// mkdtemp creates the directory 0700, so other users can't look inside
+async function withPrivateTempDir(prefix, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), `getpdfpress-${prefix}-`));
+  try {
+    return await fn(dir);
+  } finally {
+    await safeRmdir(dir);
+  }
+}
+
+// A negative pid signals the whole process group
+function killProcessGroup(child, signal) {
+  try {
+    process.kill(-child.pid, signal);
+  } catch (_) {
+    // already gone
+  }
+}
+
+function processError(message, fields) {
+  return Object.assign(new Error(message), fields);
+}
+
+// The command wrapped in prlimit when caps are asked for and prlimit exists
+async function limitedCommand(command, args, { memoryMB, cpuSeconds }) {
+  if ((memoryMB || cpuSeconds) && (await hasPrlimit())) {
+    const limits = [];
+    if (memoryMB) limits.push(`--as=${memoryMB * 1024 * 1024}`);
+    if (cpuSeconds) limits.push(`--cpu=${cpuSeconds}`);
+    return { file: "prlimit", argv: [...limits, "--", command, ...args] };
+  }
+  return { file: command, argv: args };
+}
+
+async function runProcess(command, args, options = {}) {
+  const {
+    timeout = PROCESS_TIMEOUT,
+    memoryMB = PROCESS_MEMORY_MB,
+    cpuSeconds = PROCESS_CPU_SECONDS,
+    signal,
+    env = {},
+    quiet = false,
+  } = options;
+
+  if (signal && signal.aborted) {
+    throw processError(`${command} was cancelled`, { aborted: true });
+  }
+
+  const { file, argv } = await limitedCommand(command, args, { memoryMB, cpuSeconds });
+
+  return withPrivateTempDir(command, (tempDir) => new Promise((resolve, reject) => {
+    const child = spawn(file, argv, {
+      env: { ...process.env, TMPDIR: tempDir, HOME: tempDir, ...env },
+      stdio: ["ignore", "pipe", "pipe"],
+      detached: true,
+    });
+
+    const stdout = [];
+    let stdoutSize = 0;
+    let stderr = "";
+    let stopReason = null;
+    let killTimer = null;
+
+    child.stdout.on("data", (chunk) => {
+      if (stdoutSize < PROCESS_STDOUT_LIMIT) stdout.push(chunk);
+      stdoutSize += chunk.length;
+    });
+    child.stderr.on("data", (chunk) => {
+      stderr = (stderr + chunk.toString()).slice(-PROCESS_STDERR_LIMIT);
+    });
+
+    const stop = (reason) => {
+      if (stopReason) return;
+      stopReason = reason;
+      killProcessGroup(child, "SIGTERM");
+      killTimer = setTimeout(() => killProcessGroup(child, "SIGKILL"), PROCESS_KILL_GRACE);
+    };
+    const timer = setTimeout(() => stop("timeout"), timeout);
+    const onAbort = () => stop("aborted");
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+
+    const finish = () => {
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      if (signal) signal.removeEventListener("abort", onAbort);
+    };
+
+    child.on("error", (error) => {
+      finish();
+      reject(Object.assign(error, { stderr }));
+    });
+
+    child.on("close", (code, exitSignal) => {
+      finish();
+      // Don't leave helpers the tool forked behind
+      killProcessGroup(child, "SIGKILL");
+
+      if (code === 0 && !stopReason) {
+        return resolve({ stdout: Buffer.concat(stdout), stderr });
+      }
+
+      let message;
+      if (stopReason === "timeout") {
+        message = `${command} timed out after ${timeout / 1000}s`;
+      } else if (stopReason === "aborted") {
+        message = `${command} was cancelled`;
+      } else {
+        const lastLine = stderr.trim().split("\n").pop();
+        message = `${command} exited with ${code !== null ? `code ${code}` : exitSignal}${lastLine ? `: ${lastLine}` : ""}`;
+      }
+      if (stopReason === "timeout") {
+        incMetric("timeouts_total", { kind: "process", command });
+      }
+      if (stopReason !== "aborted" && !quiet) {
+        logger.error("Process failed", { command, exit: code ?? exitSignal, stopReason, stderr: stderr.trim().slice(-2000) });
+      }
+
+      reject(processError(message, {
+        code,
+        signal: exitSignal,
+        stderr,
+        timedOut: stopReason === "timeout",
+        aborted: stopReason === "aborted",
+      }));
+    });
+  }));
+}
+
+// Presence checks: quick, and a missing binary is not an error
+async function isCommandAvailable(command, args = ["--version"]) {
+  try {
+    await runProcess(command, args, { timeout: 15000, quiet: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// ============================================
+// HELPER: Check if Ghostscript is available
+// ============================================
+async function isGhostscriptAvailable() {
+  return isCommandAvailable("gs");
+}
+
+// ============================================
+// HELPER: Check if LibreOffice is available
+// `worker` is the warm instance's state (see LIBREOFFICE WORKER)
+// ============================================
+async function checkLibreOffice() {
+  return { available: await isLibreOfficeInstalled(), worker: describeLoWorker() };
+}
+
+// Passwords an options object carries (see SECRET_FIELDS)
+function secretValues(options) {
+  return SECRET_FIELDS.map((field) => options && options[field])
+    .filter((value) => value !== undefined && value !== null && value !== "")
+    .map(String);
+}
+
+// Error messages can echo user input, passwords included
+function redact(message, ...secrets) {
+  let text = String(message);
+  for (const secret of secrets) {
+    if (secret) text = text.split(secret).join("***");
+  }
+  return text;
+}
+
+// ============================================
+// HELPER: Check if qpdf is available (encryption)
+// ============================================
+async function isQpdfAvailable() {
+  return isCommandAvailable("qpdf");
+}
+
+// ============================================
+// HELPER: Check if poppler-utils is available (extraction)
+// ============================================
+async function isPopplerAvailable() {
+  return isCommandAvailable("pdftotext", ["-v"]);
+}
+
+// ============================================
+// HELPER: Check if Tesseract is available (OCR)
+// The installed languages only change with a redeploy, so they are
+// listed once. "osd" is orientation data, not a language.
+// ============================================
+let tesseractLanguages = null;
+
+async function isTesseractAvailable() {
+  return isCommandAvailable("tesseract");
+}
+
+function listTesseractLanguages() {
+  if (tesseractLanguages === null) {
+    tesseractLanguages = runProcess("tesseract", ["--list-langs"], { timeout: 15000, quiet: true })
+      .then(({ stdout, stderr }) => {
+        // Older releases print the list to stderr; the first line is a heading
+        const lines = `${stdout}\n${stderr}`.split("\n").map((line) => line.trim());
+        return lines.filter((line) => /^[A-Za-z0-9_]+$/.test(line));
+      })
+      .catch(() => []);
+  }
+  return tesseractLanguages;
+}
+
+// ============================================
+// HELPER: Render one PDF page to PNG (Ghostscript)
+// Output size follows the page's own dimensions at the requested DPI,
+// scaled down if it would exceed MAX_RENDER_PIXELS.
+// ============================================
+const MAX_RENDER_PIXELS = 25 * 1000 * 1000; // ~100MB raw RGBA at worst
+
+async function renderPdfPage(inputPath, page, pageNumber, dpi, { signal } = {}) {
+  const { width, height } = page.getSize();
+  const pixels = ((width * dpi) / 72) * ((height * dpi) / 72);
+  let density = dpi;
+
+  const scale = Math.min(1, Math.sqrt(MAX_RENDER_PIXELS / pixels));
+  if (scale < 1) {
+    density = Math.floor(dpi * scale);
+    logger.warn("Page too large for requested DPI", { page: pageNumber, dpi, renderedDpi: density });
+  }
+
+  // gs applies the page's /Rotate itself
+  return withPrivateTempDir("render", async (dir) => {
+    const outputPath = path.join(dir, "page.png");
+    await runProcess("gs", [
+      "-dSAFER",
+      "-dBATCH",
+      "-dNOPAUSE",
+      "-dQUIET",
+      "-sDEVICE=png16m",
+      `-r${density}`,
+      "-dTextAlphaBits=4",
+      "-dGraphicsAlphaBits=4",
+      `-dFirstPage=${pageNumber}`,
+      `-dLastPage=${pageNumber}`,
+      `-sOutputFile=${outputPath}`,
+      inputPath,
+    ], { signal });
+
+    const png = await fs.readFile(outputPath).catch(() => null);
+    if (!png || png.length === 0) {
+      throw new Error(`Rendering page ${pageNumber} produced no output`);
+    }
+    return png;
+  });
+}
+
+// ============================================
+// HELPER: Compress with Ghostscript
+// Without a target a single pass runs at the level's preset step.
+// With a target we walk down COMPRESSION_LADDER until the output fits,
+// keep the smallest attempt, and never return more than the original.
+// ============================================
+const COMPRESSION_LADDER = [
+  { resolution: 300, quality: 90, grayscale: false }, // ~ /printer
+  { resolution: 200, quality: 80, grayscale: false },
+  { resolution: 150, quality: 70, grayscale: false }, // ~ /ebook
+  { resolution: 120, quality: 60, grayscale: false },
+  { resolution: 96, quality: 50, grayscale: false },
+  { resolution: 72, quality: 40, grayscale: false }, // ~ /screen
+  { resolution: 72, quality: 35, grayscale: true },
+  { resolution: 50, quality: 25, grayscale: true },
+];
+const COMPRESSION_PRESET_STEP = { gentle: 0, balanced: 2, strong: 5 };
+const COMPRESSION_FIRST_STEP = { gentle: 0, balanced: 0, strong: 3 };
+const COMPRESSION_TIME_BUDGET = 45000; // leave headroom under REQUEST_TIMEOUT
+
+function describeStep(step) {
+  return `resolution=${step.resolution};quality=${step.quality};grayscale=${step.grayscale}`;
+}
+
+function ghostscriptArgs(inputPath, outputPath, step) {
+  // Distiller QFactor: ~0.2 is near-lossless, ~1.5 is very lossy
+  const qFactor = ((100 - step.quality) / 50).toFixed(2);
+  const imageDict = `<< /QFactor ${qFactor} /Blend 1 /HSamples [2 1 1 2] /VSamples [2 1 1 2] >>`;
+
+  const args = [
+    "-sDEVICE=pdfwrite",
+    "-dCompatibilityLevel=1.4",
+    "-dNOPAUSE",
+    "-dQUIET",
+    "-dBATCH",
+    "-dSAFER",
+    "-dDetectDuplicateImages=true",
+    "-dCompressFonts=true",
+    "-dSubsetFonts=true",
+    "-dDownsampleColorImages=true",
+    "-dDownsampleGrayImages=true",
+    "-dDownsampleMonoImages=true",
+    "-dColorImageDownsampleType=/Bicubic",
+    "-dGrayImageDownsampleType=/Bicubic",
+    "-dColorImageDownsampleThreshold=1.0",
+    "-dGrayImageDownsampleThreshold=1.0",
+    `-dColorImageResolution=${step.resolution}`,
+    `-dGrayImageResolution=${step.resolution}`,
+    `-dMonoImageResolution=${Math.max(step.resolution * 2, 150)}`,
+    "-dAutoFilterColorImages=false",
+    "-dAutoFilterGrayImages=false",
+    "-dColorImageFilter=/DCTEncode",
+    "-dGrayImageFilter=/DCTEncode",
+  ];
+
+  if (step.grayscale) {
+    args.push("-sColorConversionStrategy=Gray", "-dProcessColorModel=/DeviceGray");
+  }
+
+  args.push(
+    `-sOutputFile=${outputPath}`,
+    "-c",
+    `<< /ColorImageDict ${imageDict} /GrayImageDict ${imageDict} >> setdistillerparams`,
+    "-f",
+    inputPath,
+  );
+  return args;
+}
+
+async function compressWithGhostscript(
+  inputPath,
+  outputPath,
+  targetSizeKB,
+  compressionLevel = "balanced",
+  { allowGrayscale = true, signal } = {},
+) {
+  const originalSize = (await fs.stat(inputPath)).size;
+  const targetBytes = targetSizeKB > 0 ? targetSizeKB * 1024 : null;
+  const hasGs = await isGhostscriptAvailable();
+
+  let best = null; // { path, size, settings, method }
+  const attemptPaths = [];
+
+  const consider = async (candidatePath, settings, method) => {
+    const { size } = await fs.stat(candidatePath);
+    if (!best || size < best.size) {
+      best = { path: candidatePath, size, settings, method };
+    }
+    return size;
+  };
+
+  if (hasGs) {
+    let steps;
+    if (targetBytes) {
+      steps = COMPRESSION_LADDER.slice(COMPRESSION_FIRST_STEP[compressionLevel] || 0);
+      if (!allowGrayscale) steps = steps.filter((step) => !step.grayscale);
+    } else {
+      steps = [COMPRESSION_LADDER[COMPRESSION_PRESET_STEP[compressionLevel] ?? 2]];
+    }
+
+    const deadline = Date.now() + COMPRESSION_TIME_BUDGET;
+    for (const step of steps) {
+      // Each step only gets what is left of the budget, not a fresh one
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        logger.warn("Compression time budget exhausted", { budgetMs: COMPRESSION_TIME_BUDGET });
+        break;
+      }
+
+      const attemptPath = `${outputPath}.try-${attemptPaths.length}`;
+      attemptPaths.push(attemptPath);
+
+      try {
+        await runProcess("gs", ghostscriptArgs(inputPath, attemptPath, step), {
+          timeout: remaining,
+          signal,
+        });
+      } catch (error) {
+        if (error.aborted) throw error;
+        if (error.timedOut) {
+          logger.warn("Compression time budget exhausted", { budgetMs: COMPRESSION_TIME_BUDGET });
+        } else {
+          logger.error("Ghostscript failed", { error: error.message });
+        }
+        break;
+      }
+
+      const size = await consider(attemptPath, describeStep(step), "ghostscript");
+      logger.info("Ghostscript attempt", { settings: describeStep(step), sizeKB: Math.round(size / 1024) });
+      if (targetBytes && size <= targetBytes) break;
+    }
+  }
+
+  if (!best) {
+    incMetric("fallbacks_total", { from: "ghostscript", to: "pdf-lib", reason: hasGs ? "failed" : "unavailable" });
+    const fallbackPath = `${outputPath}.pdf-lib`;
+    attemptPaths.push(fallbackPath);
+    await compressWithPdfLib(inputPath, fallbackPath);
+    await consider(fallbackPath, "pdf-lib", "pdf-lib");
+  }
+
+  // Never hand back something bigger than what was uploaded
+  if (best.size >= originalSize) {
+    await fs.copyFile(inputPath, outputPath);
+    best = { path: outputPath, size: originalSize, settings: "original", method: "original" };
+  } else {
+    await fs.rename(best.path, outputPath);
+  }
+  await cleanupFiles(...attemptPaths);
+
+  return {
+    originalSize,
+    size: best.size,
+    settings: best.settings,
+    method: best.method,
+    targetReached: targetBytes ? best.size <= targetBytes : null,
+  };
+}
+
+// ============================================
+// HELPER: Fallback compression with pdf-lib
+// ============================================
+async function compressWithPdfLib(inputPath, outputPath) {
+  const pdfBytes = await fs.readFile(inputPath);
+  const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+
+  const compressedBytes = await pdfDoc.save({
+    useObjectStreams: false,
+    addDefaultPage: false,
+  });
+
+  await fs.writeFile(outputPath, compressedBytes);
+  return true;
+}
+
+// ============================================
+// TOOLS
+// Each tool is a function (inputs, options, ctx) => { outputs, headers }
+// where inputs are files on disk: { path, name, contentType }. Outputs
+// are files in ctx.workDir too, except a lone pdf-lib result, which
+// stays in memory as { bytes, name, contentType } and is sent straight
+// from the buffer (ensureOnDisk writes it when a later step needs a path).
+// `name` is the user-facing filename.
+// The single-tool routes and /api/pipeline both call these.
+// ============================================
+const CONTENT_TYPES = {
+  pdf: "application/pdf",
+  png: "image/png",
+  jpg: "image/jpeg",
+  webp: "image/webp",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  odt: "application/vnd.oasis.opendocument.text",
+  rtf: "application/rtf",
+  txt: "text/plain; charset=utf-8",
+  hocr: "text/html; charset=utf-8",
+  json: "application/json; charset=utf-8",
+  zip: "application/zip",
+};
+
+function workPath(ctx, name) {
+  return path.join(ctx.workDir, `${ctx.nextId()}-${sanitize(name)}`);
+}
+
+// Tools that produce many documents pass { many: true } so results go
+// to disk as they are made instead of piling up in memory
+async function savePdf(ctx, pdfDoc, name, { many = false } = {}) {
+  const bytes = await pdfDoc.save();
+  const pageCount = pdfDoc.getPageCount();
+  if (many) {
+    const outputPath = workPath(ctx, name);
+    await fs.writeFile(outputPath, bytes);
+    return { path: outputPath, name, contentType: CONTENT_TYPES.pdf, pageCount };
+  }
+  // A Buffer view over pdf-lib's array, not a copy
+  return {
+    bytes: Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength),
+    name,
+    contentType: CONTENT_TYPES.pdf,
+    pageCount,
+  };
+}
+
+async function ensureOnDisk(ctx, outputs) {
+  return Promise.all(outputs.map(async (output) => {
+    if (output.path) return output;
+    const outputPath = workPath(ctx, output.name);
+    await fs.writeFile(outputPath, output.bytes);
+    return { path: outputPath, name: output.name, contentType: output.contentType, pageCount: output.pageCount };
+  }));
+}
+
+// Parse failures on files that got past validation (e.g. pipeline
+// intermediates) still come back as CORRUPT_PDF / ENCRYPTED_PDF
+async function loadPdf(input, options = {}) {
+  // The copy parsed during upload validation (ignoring encryption, without
+  // touching metadata) is good for one load
+  const parsed = input.pdfDoc;
+  input.pdfDoc = null;
+  if (parsed) {
+    if (parsed.isEncrypted && !options.ignoreEncryption) {
+      throw inputError(422, "ENCRYPTED_PDF", input.name, `${input.name} is password-protected. Unlock it first with /api/unlock.`);
+    }
+    if (options.updateMetadata !== false) parsed.updateInfoDict();
+    return parsed;
+  }
+
+  const bytes = await fs.readFile(input.path);
+  try {
+    return await PDFDocument.load(bytes, options);
+  } catch (error) {
+    if (error instanceof EncryptedPDFError) {
+      throw inputError(422, "ENCRYPTED_PDF", input.name, `${input.name} is password-protected. Unlock it first with /api/unlock.`);
+    }
+    throw inputError(422, "CORRUPT_PDF", input.name, `${input.name} is damaged and could not be read as a PDF.`);
+  }
+}
+
+// ============================================
+// TOOL 1 & 2: COMPRESS PDF
+// Results are reported in X-Compression-* headers. If the target
+// cannot be reached the smallest result is still returned, unless
+// requireTarget=true asks for a 422 instead. Document metadata is
+// kept unless stripMetadata=true.
+// ============================================
+async function compressTool(inputs, options, ctx) {
+  const { targetSize, compressionLevel = "balanced" } = options;
+  const targetSizeKB = parseInt(targetSize);
+  const stripMetadata = parseBoolean(options.stripMetadata);
+  const outputs = [];
+  let headers = {};
+
+  for (const [i, input] of inputs.entries()) {
+    const name = `compressed-${input.name}`;
+    const outputPath = workPath(ctx, name);
+
+    // Metadata is kept unless asked otherwise; strip it before compressing
+    // so every candidate (and the "original" fallback) comes out clean
+    let sourcePath = input.path;
+    if (stripMetadata) {
+      const pdfDoc = await loadPdf(input, { updateMetadata: false });
+      removeDocumentMetadata(pdfDoc);
+      sourcePath = workPath(ctx, `stripped-${input.name}`);
+      await fs.writeFile(sourcePath, await pdfDoc.save());
+    }
+
+    const result = await compressWithGhostscript(
+      sourcePath,
+      outputPath,
+      targetSizeKB,
+      compressionLevel,
+      { allowGrayscale: parseBoolean(options.allowGrayscale, true), signal: ctx.signal },
+    );
+    if (stripMetadata) {
+      result.originalSize = (await fs.stat(input.path)).size;
+    }
+    observeMetric("compression_ratio", { method: result.method }, result.size / result.originalSize);
+
+    if (result.targetReached === false && parseBoolean(options.requireTarget)) {
+      throw httpError(422, "Target not reached", `Could not compress below ${targetSizeKB}KB.`, {
+        targetSizeKB,
+        originalSizeKB: Math.round(result.originalSize / 1024),
+        achievedSizeKB: Math.round(result.size / 1024),
+        settings: result.settings,
+        method: result.method,
+      });
+    }
+
+    headers = {
+      "X-Original-Size": result.originalSize,
+      "X-Compressed-Size": result.size,
+      "X-Compression-Ratio": (result.size / result.originalSize).toFixed(3),
+      "X-Compression-Method": result.method,
+      "X-Compression-Settings": result.settings,
+    };
+    if (result.targetReached !== null) {
+      headers["X-Compression-Target-Reached"] = String(result.targetReached);
+    }
+
+    outputs.push({ path: outputPath, name, contentType: CONTENT_TYPES.pdf });
+    ctx.onProgress((i + 1) / inputs.length);
+  }
+
+  return { outputs, headers };
+}
+
+// ============================================
+// HELPER: Document outline (bookmarks)
+// pdf-lib has no outline API, so build the flat /Outlines tree by hand.
+// entries: [{ title, pageIndex }] in display order
+// ============================================
+function addOutline(pdfDoc, entries) {
+  if (entries.length === 0) return;
+
+  const { context } = pdfDoc;
+  const pageRefs = pdfDoc.getPages().map((page) => page.ref);
+  const outlineRef = context.nextRef();
+  const itemRefs = entries.map(() => context.nextRef());
+
+  entries.forEach((entry, i) => {
+    const item = {
+      Title: PDFHexString.fromText(entry.title),
+      Parent: outlineRef,
+      Dest: [pageRefs[entry.pageIndex], "Fit"],
+    };
+    if (i > 0) item.Prev = itemRefs[i - 1];
+    if (i < entries.length - 1) item.Next = itemRefs[i + 1];
+    context.assign(itemRefs[i], context.obj(item));
+  });
+
+  context.assign(outlineRef, context.obj({
+    Type: "Outlines",
+    First: itemRefs[0],
+    Last: itemRefs[itemRefs.length - 1],
+    Count: entries.length,
+  }));
+  pdfDoc.catalog.set(PDFName.of("Outlines"), outlineRef);
+  pdfDoc.catalog.set(PDFName.of("PageMode"), PDFName.of("UseOutlines"));
+}
+
+// ============================================
+// TOOL 3: MERGE PDFs
+// Options (all optional):
+//   ranges      JSON array of page ranges by upload position, or an
+//               object keyed by filename: ["2-5", "all"]
+//   order       JSON array of 1-based upload positions: [2, 1]
+//   bookmarks   "true" adds an outline entry per source file
+//   mode        "append" (default) or "interleave" (round-robin pages,
+//               e.g. scanned fronts and backs)
+//   reverseSecond  with interleave, take the second file's pages backwards
+// ============================================
+async function mergeTool(inputs, options, ctx) {
+  if (inputs.length < 2) {
+    // Earlier pipeline steps may leave a single file (images-to-pdf); there's nothing to merge
+    if (ctx.pipeline && inputs.length === 1) {
+      return { outputs: inputs };
+    }
+    throw httpError(400, "Need at least 2 files", "Please upload at least 2 PDF files to merge.");
+  }
+
+  const mode = options.mode || "append";
+  if (!["append", "interleave"].includes(mode)) {
+    throw badRequest(`Unknown merge mode "${mode}". Use append or interleave.`);
+  }
+
+  let sources = inputs.map((input, i) => ({ input, position: i + 1 }));
+
+  if (options.order !== undefined && options.order !== "") {
+    const order = parseJsonField(options.order, "order");
+    if (!Array.isArray(order) || order.length === 0) {
+      throw badRequest("order must be a non-empty array of file positions");
+    }
+    sources = order.map((position) => {
+      const source = sources[Number(position) - 1];
+      if (!Number.isInteger(Number(position)) || !source) {
+        throw badRequest(`order: file ${position} is outside 1-${inputs.length}`);
+      }
+      return source;
+    });
+  }
+
+  const ranges = options.ranges !== undefined && options.ranges !== ""
+    ? parseJsonField(options.ranges, "ranges")
+    : null;
+  if (ranges !== null && typeof ranges !== "object") {
+    throw badRequest("ranges must be a JSON array or object");
+  }
+  const rangeFor = (source) => {
+    if (!ranges) return "all";
+    return Array.isArray(ranges) ? ranges[source.position - 1] : ranges[source.input.name];
+  };
+
+  const mergedDoc = await PDFDocument.create();
+
+  // Copy each source's selected pages, one source document in memory at a time
+  const copied = [];
+  for (const [i, source] of sources.entries()) {
+    const pdf = await loadPdf(source.input);
+    let indices;
+    try {
+      indices = rangesToIndices(parsePageRanges(rangeFor(source), pdf.getPageCount()));
+    } catch (error) {
+      throw badRequest(`${source.input.name}: ${error.message}`);
+    }
+    copied.push({ source, pages: await mergedDoc.copyPages(pdf, indices) });
+    ctx.onProgress((i + 1) / sources.length);
+  }
+
+  if (mode === "interleave" && parseBoolean(options.reverseSecond) && copied[1]) {
+    copied[1].pages.reverse();
+  }
+
+  const outline = [];
+  const addPageFrom = (entry, page) => {
+    if (!outline.some((item) => item.entry === entry)) {
+      outline.push({ entry, title: entry.source.input.name, pageIndex: mergedDoc.getPageCount() });
+    }
+    mergedDoc.addPage(page);
+  };
+
+  if (mode === "interleave") {
+    const longest = Math.max(...copied.map((entry) => entry.pages.length));
+    for (let n = 0; n < longest; n++) {
+      for (const entry of copied) {
+        if (n < entry.pages.length) addPageFrom(entry, entry.pages[n]);
+      }
+    }
+  } else {
+    for (const entry of copied) {
+      entry.pages.forEach((page) => addPageFrom(entry, page));
+    }
+  }
+
+  if (parseBoolean(options.bookmarks)) {
+    addOutline(mergedDoc, outline);
+  }
+
+  return { outputs: [await savePdf(ctx, mergedDoc, "merged.pdf")] };
+}
+
+// ============================================
+// TOOL 4: SPLIT PDF
+// Modes: "pages" (one file per page), "ranges" (one file per
+// comma-separated range), "every" (chunks of `every` pages).
+// ============================================
+async function splitTool(inputs, options, ctx) {
+  const { pages = "all", mode = "pages", every } = options;
+  const outputs = [];
+
+  for (const input of inputs) {
+    const pdfDoc = await loadPdf(input);
+    const ranges = parsePageRanges(pages, pdfDoc.getPageCount());
+    const baseName = outputBaseName(input.name);
+
+    // Each group becomes one PDF
+    const groups = [];
+    if (mode === "pages") {
+      for (const index of rangesToIndices(ranges)) {
+        groups.push({ indices: [index], name: `${baseName}-page-${index + 1}.pdf` });
+      }
+    } else if (mode === "ranges") {
+      for (const range of ranges) {
+        groups.push({
+          indices: rangesToIndices([range]),
+          name: `${baseName}-pages-${range.start}-${range.end}.pdf`,
+        });
+      }
+    } else if (mode === "every") {
+      const size = parseInt(every, 10);
+      if (!size || size < 1) {
+        throw badRequest('"every" must be a positive number of pages');
+      }
+      const indices = rangesToIndices(ranges);
+      for (let i = 0; i < indices.length; i += size) {
+        groups.push({
+          indices: indices.slice(i, i + size),
+          name: `${baseName}-part-${groups.length + 1}.pdf`,
+        });
+      }
+    } else {
+      throw badRequest(`Unknown split mode "${mode}"`);
+    }
+
+    for (const [i, group] of groups.entries()) {
+      const newDoc = await PDFDocument.create();
+      const copiedPages = await newDoc.copyPages(pdfDoc, group.indices);
+      copiedPages.forEach((page) => newDoc.addPage(page));
+      outputs.push(await savePdf(ctx, newDoc, group.name, { many: true }));
+      ctx.onProgress((i + 1) / groups.length);
+    }
+  }
+
+  return { outputs, archiveName: `${outputBaseName(inputs[0].name)}-split.zip` };
+}
+
+// ============================================
+// TOOL 5 & 6: PDF TO IMAGES
+// ============================================
+const IMAGE_FORMATS = {
+  png: { ext: "png", contentType: CONTENT_TYPES.png },
+  jpg: { ext: "jpg", contentType: CONTENT_TYPES.jpg },
+  jpeg: { ext: "jpg", contentType: CONTENT_TYPES.jpg },
+  webp: { ext: "webp", contentType: CONTENT_TYPES.webp },
+};
+
+function encodeImage(pngBuffer, format, quality, maxWidth) {
+  let image = sharp(pngBuffer);
+  if (maxWidth) {
+    image = image.resize({ width: maxWidth, withoutEnlargement: true });
+  }
+  if (format.ext === "jpg") {
+    // JPEG has no alpha channel; composite onto white instead of black
+    return image.flatten({ background: "#ffffff" }).jpeg({ quality, mozjpeg: true }).toBuffer();
+  }
+  if (format.ext === "webp") {
+    return image.webp({ quality }).toBuffer();
+  }
+  return image.png({ compressionLevel: 9 }).toBuffer();
+}
+
+async function pdfToImagesTool(inputs, options, ctx) {
+  const { format: formatName = "png", dpi = "150", quality = "85", pages = "all", maxWidth } = options;
+
+  const format = IMAGE_FORMATS[String(formatName).toLowerCase()];
+  if (!format) {
+    throw badRequest(`Unsupported format "${formatName}". Use png, jpg or webp.`);
+  }
+
+  const density = parseInt(dpi, 10);
+  if (!density || density < 36 || density > 300) {
+    throw badRequest("dpi must be between 36 and 300");
+  }
+
+  const imageQuality = parseInt(quality, 10);
+  if (!imageQuality || imageQuality < 1 || imageQuality > 100) {
+    throw badRequest("quality must be between 1 and 100");
+  }
+
+  let widthLimit = null;
+  if (maxWidth !== undefined && maxWidth !== "") {
+    widthLimit = parseInt(maxWidth, 10);
+    if (!widthLimit || widthLimit < 1) {
+      throw badRequest("maxWidth must be a positive number of pixels");
+    }
+  }
+
+  const outputs = [];
+  for (const input of inputs) {
+    const pdfDoc = await loadPdf(input);
+    const indices = rangesToIndices(parsePageRanges(pages, pdfDoc.getPageCount()));
+    const baseName = outputBaseName(input.name);
+
+    for (const [i, index] of indices.entries()) {
+      const png = await renderPdfPage(input.path, pdfDoc.getPage(index), index + 1, density, { signal: ctx.signal });
+      const imageBytes = await encodeImage(png, format, imageQuality, widthLimit);
+
+      const name = `${baseName}-page-${index + 1}.${format.ext}`;
+      const outputPath = workPath(ctx, name);
+      await fs.writeFile(outputPath, imageBytes);
+      outputs.push({ path: outputPath, name, contentType: format.contentType });
+      ctx.onProgress((i + 1) / indices.length);
+    }
+  }
+
+  return { outputs, archiveName: `${outputBaseName(inputs[0].name)}-images.zip` };
+}
+
+// ============================================
+// TOOL 7: IMAGES TO PDF
+// The format is detected from content, not the extension. JPEG and PNG
+// are embedded as-is when nothing needs changing; everything else
+// (WebP, TIFF, GIF, HEIC where libvips supports it, EXIF-rotated or
+// resized images) goes through sharp first. Multi-page TIFFs become
+// several pages.
+//   pageSize     "fit" (page follows the image, default), A4, Letter...
+//                or [width, height] in points
+//   orientation  "auto" (follow the image), "portrait", "landscape"
+//   fit          "contain" (default), "cover" (fill and crop), "stretch"
+//   margin       points around the image
+//   maxDimension downscale so the longest side is at most this many px
+//   quality      re-encode photos as JPEG at this quality
+// ============================================
+const IMAGE_FITS = ["contain", "cover", "stretch"];
+
+// Bytes pdf-lib can embed for one image (or one TIFF page)
+async function prepareImageForPdf(input, meta, pageIndex, { maxDimension, quality }) {
+  const needsRotation = meta.orientation && meta.orientation !== 1;
+  const needsResize = maxDimension && Math.max(meta.width, meta.height) > maxDimension;
+  const multiPage = (meta.pages || 1) > 1;
+
+  if (!needsRotation && !needsResize && !quality && !multiPage) {
+    if (meta.format === "jpeg") return { bytes: await fs.readFile(input.path), type: "jpg" };
+    if (meta.format === "png") return { bytes: await fs.readFile(input.path), type: "png" };
+  }
+
+  let image = sharp(input.path, { page: pageIndex }).rotate();
+  if (needsResize) {
+    image = image.resize({ width: maxDimension, height: maxDimension, fit: "inside" });
+  }
+
+  // Keep transparency lossless; photos go to JPEG
+  if (meta.hasAlpha && !quality) {
+    return { bytes: await image.png().toBuffer(), type: "png" };
+  }
+  return {
+    bytes: await image.flatten({ background: "#ffffff" }).jpeg({ quality: quality || 90, mozjpeg: true }).toBuffer(),
+    type: "jpg",
+  };
+}
+
+// Where the image goes on the page: { pageSize, box, draw, clip }
+function layoutImage(image, options) {
+  const { pageSize, orientation, fit, margin } = options;
+
+  if (pageSize === "fit") {
+    const box = { x: margin, y: margin, width: image.width, height: image.height };
+    return {
+      pageSize: [image.width + margin * 2, image.height + margin * 2],
+      draw: box,
+      clip: null,
+    };
+  }
+
+  let [width, height] = resolvePageSize(pageSize);
+  const landscape = orientation === "landscape" || (orientation === "auto" && image.width > image.height);
+  if (landscape !== width > height) {
+    [width, height] = [height, width];
+  }
+
+  const box = {
+    x: margin,
+    y: margin,
+    width: width - margin * 2,
+    height: height - margin * 2,
+  };
+  if (box.width <= 0 || box.height <= 0) {
+    throw badRequest("margin leaves no room on the page");
+  }
+
+  if (fit === "stretch") {
+    return { pageSize: [width, height], draw: box, clip: null };
+  }
+
+  const scale = fit === "cover"
+    ? Math.max(box.width / image.width, box.height / image.height)
+    : Math.min(box.width / image.width, box.height / image.height);
+  const drawWidth = image.width * scale;
+  const drawHeight = image.height * scale;
+
+  return {
+    pageSize: [width, height],
+    draw: {
+      x: box.x + (box.width - drawWidth) / 2,
+      y: box.y + (box.height - drawHeight) / 2,
+      width: drawWidth,
+      height: drawHeight,
+    },
+    clip: fit === "cover" ? box : null,
+  };
+}
+
+async function imagesToPdfTool(inputs, options, ctx) {
+  let pageSize = options.pageSize || "fit";
+  if (typeof pageSize === "string" && pageSize.trim().startsWith("[")) {
+    pageSize = parseJsonField(pageSize, "pageSize");
+  } else if (String(pageSize).toLowerCase() === "fit") {
+    pageSize = "fit";
+  }
+
+  const layout = {
+    pageSize,
+    orientation: options.orientation || "auto",
+    fit: options.fit || "contain",
+    margin: parseNumber(options.margin, "margin", { min: 0, max: 300, fallback: 0 }),
+  };
+  if (!["auto", "portrait", "landscape"].includes(layout.orientation)) {
+    throw badRequest('orientation must be "auto", "portrait" or "landscape"');
+  }
+  if (!IMAGE_FITS.includes(layout.fit)) {
+    throw badRequest(`fit must be one of ${IMAGE_FITS.join(", ")}`);
+  }
+  if (layout.pageSize !== "fit") {
+    resolvePageSize(layout.pageSize); // validate before doing any work
+  }
+
+  const encoding = {
+    maxDimension: parseNumber(options.maxDimension, "maxDimension", { min: 16, max: 10000, fallback: null }),
+    quality: parseNumber(options.quality, "quality", { min: 1, max: 100, fallback: null }),
+  };
+
+  const pdfDoc = await PDFDocument.create();
+
+  for (const [i, input] of inputs.entries()) {
+    let meta;
+    try {
+      meta = await sharp(input.path).metadata();
+    } catch (error) {
+      throw badRequest(`${input.name} is not a supported image`);
+    }
+
+    // Only TIFFs are documents; animated GIF/WebP contribute their first frame
+    const pageCount = meta.format === "tiff" ? meta.pages || 1 : 1;
+    const frameMeta = pageCount > 1 ? meta : { ...meta, pages: 1 };
+
+    for (let frame = 0; frame < pageCount; frame++) {
+      let prepared;
+      try {
+        prepared = await prepareImageForPdf(input, frameMeta, frame, encoding);
+      } catch (error) {
+        throw badRequest(`${input.name} could not be converted: ${error.message}`);
+      }
+
+      const image = prepared.type === "png"
+        ? await pdfDoc.embedPng(prepared.bytes)
+        : await pdfDoc.embedJpg(prepared.bytes);
+
+      const placement = layoutImage(image, layout);
+      const page = pdfDoc.addPage(placement.pageSize);
+
+      if (placement.clip) {
+        const { x, y, width, height } = placement.clip;
+        page.pushOperators(pushGraphicsState(), rectangle(x, y, width, height), clip(), endPath());
+      }
+      page.drawImage(image, placement.draw);
+      if (placement.clip) {
+        page.pushOperators(popGraphicsState());
+      }
+    }
+    ctx.onProgress((i + 1) / inputs.length);
+  }
+
+  return { outputs: [await savePdf(ctx, pdfDoc, "images.pdf")] };
+}
+
+// ============================================
+// LIBREOFFICE WORKER
+// One long-lived headless LibreOffice behind unoserver, so conversions
+// skip the cold start and the fresh profile. Conversions reach it one
+// at a time through `unoconvert`. It starts on first use, is pinged
+// every minute while idle between conversions, and is replaced after
+// LO_WORKER_MAX_CONVERSIONS conversions, after a crash, or after a
+// conversion timed out or was cancelled (the server would still be
+// busy with it). It stops after LO_WORKER_IDLE_MS without work to give
+// the memory back. Whenever it can't be used (unoserver missing, crash
+// loop, LO_WORKER=off, filters with options) conversions fall back to
+// a one-shot `libreoffice --convert-to`.
+// ============================================
+const LO_WORKER_ENABLED = process.env.LO_WORKER !== "off";
+const LO_WORKER_PORT = parseInt(process.env.LO_WORKER_PORT) || 2003; // unoserver XML-RPC
+const LO_WORKER_UNO_PORT = parseInt(process.env.LO_WORKER_UNO_PORT) || 2002;
+const LO_WORKER_MAX_CONVERSIONS = parseInt(process.env.LO_WORKER_MAX_CONVERSIONS) || 50;
+const LO_WORKER_IDLE_MS = parseInt(process.env.LO_WORKER_IDLE_MS) || 5 * 60 * 1000;
+const LO_WORKER_START_TIMEOUT = 45000;
+const LO_WORKER_HEALTH_INTERVAL = 60000;
+const LO_WORKER_CRASH_WINDOW = 5 * 60 * 1000; // 3 crashes in here and we stop trying
+const LO_WORKER_RETRY_DELAY = 10 * 60 * 1000;
+
+const loWorker = {
+  // stopped | starting | ready | crashed | failed (crash loop) | unavailable | disabled
+  state: LO_WORKER_ENABLED ? "stopped" : "disabled",
+  child: null,
+  stderr: "",
+  starting: null,
+  busy: false,
+  lock: Promise.resolve(),
+  conversions: 0,
+  totalConversions: 0,
+  restarts: 0,
+  crashes: [],
+  startedAt: null,
+  retryAt: null,
+  lastError: null,
+  lastHealthCheck: null,
+  idleTimer: null,
+};
+
+let libreOfficeInstalled = null;
+let unoserverInstalled = null;
+
+// Installed binaries don't come and go; `libreoffice --version` alone
+// starts soffice, so ask once
+function isLibreOfficeInstalled() {
+  if (libreOfficeInstalled === null) {
+    libreOfficeInstalled = isCommandAvailable("libreoffice");
+  }
+  return libreOfficeInstalled;
+}
+
+function isUnoserverInstalled() {
+  if (unoserverInstalled === null) {
+    unoserverInstalled = Promise.all([
+      isCommandAvailable("unoserver", ["--help"]),
+      isCommandAvailable("unoconvert", ["--help"]),
+    ]).then((found) => found.every(Boolean));
+  }
+  return unoserverInstalled;
+}
+
+// Resident memory of the worker's process group (unoserver and its
+// soffice), read from /proc. Sampled on a timer so canAdmit, which runs
+// on every request, only reads the last figure. 0 where /proc isn't
+// available.
+const LO_WORKER_RSS_SAMPLE_MS = 5000;
+let loWorkerRss = { pid: null, mb: 0 };
+let samplingLoWorkerRss = false;
+
+async function sampleLoWorkerRss() {
+  const pid = loWorker.child ? loWorker.child.pid : null;
+  if (!pid || samplingLoWorkerRss) return;
+  samplingLoWorkerRss = true;
+
+  let kB = 0;
+  try {
+    for (const entry of await fs.readdir("/proc")) {
+      if (!/^\d+$/.test(entry)) continue;
+      try {
+        // Fields after the parenthesised command name: state, ppid, pgrp, ...
+        const stat = await fs.readFile(`/proc/${entry}/stat`, "utf8");
+        const fields = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+        if (Number(fields[2]) !== pid) continue;
+        const match = /^VmRSS:\s+(\d+)\s+kB/m.exec(await fs.readFile(`/proc/${entry}/status`, "utf8"));
+        if (match) kB += Number(match[1]);
+      } catch (error) {
+        // The process exited while we were looking
+      }
+    }
+    loWorkerRss = { pid, mb: kB / 1024 };
+  } catch (error) {
+    loWorkerRss = { pid, mb: 0 };
+  } finally {
+    samplingLoWorkerRss = false;
+  }
+}
+
+setInterval(sampleLoWorkerRss, LO_WORKER_RSS_SAMPLE_MS);
+
+function loWorkerRssMB() {
+  const pid = loWorker.child ? loWorker.child.pid : null;
+  return pid && loWorkerRss.pid === pid ? loWorkerRss.mb : 0;
+}
+
+function describeLoWorker() {
+  return {
+    state: loWorker.state,
+    pid: loWorker.child ? loWorker.child.pid : null,
+    rssMB: Math.round(loWorkerRssMB()),
+    conversions: loWorker.conversions,
+    totalConversions: loWorker.totalConversions,
+    maxConversions: LO_WORKER_MAX_CONVERSIONS,
+    restarts: loWorker.restarts,
+    startedAt: loWorker.startedAt ? new Date(loWorker.startedAt).toISOString() : null,
+    lastHealthCheck: loWorker.lastHealthCheck ? new Date(loWorker.lastHealthCheck).toISOString() : null,
+    retryAt: loWorker.retryAt ? new Date(loWorker.retryAt).toISOString() : null,
+    lastError: loWorker.lastError,
+  };
+}
+
+// Any XML-RPC answer (a fault for an unknown method included) means
+// unoserver is up; it exits by itself when soffice dies
+async function pingLoWorker() {
+  try {
+    const response = await fetch(`http://127.0.0.1:${LO_WORKER_PORT}/`, {
+      method: "POST",
+      headers: { "Content-Type": "text/xml" },
+      body: '<?xml version="1.0"?><methodCall><methodName>info</methodName><params/></methodCall>',
+      signal: AbortSignal.timeout(5000),
+    });
+    await response.arrayBuffer();
+    return response.ok;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function startLoWorker() {
+  loWorker.state = "starting";
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "getpdfpress-lo-worker-"));
+  const { file, argv } = await limitedCommand("unoserver", [
+    "--interface", "127.0.0.1",
+    "--port", String(LO_WORKER_PORT),
+    "--uno-interface", "127.0.0.1",
+    "--uno-port", String(LO_WORKER_UNO_PORT),
+    "--user-installation", `file://${path.join(tempDir, "profile")}`,
+  ], { memoryMB: LIBREOFFICE_MEMORY_MB }); // no CPU cap: it is cumulative over the worker's life
+
+  const child = spawn(file, argv, {
+    env: { ...process.env, TMPDIR: tempDir, HOME: tempDir },
+    stdio: ["ignore", "ignore", "pipe"],
+    detached: true,
+  });
+  loWorker.child = child;
+  loWorker.stderr = "";
+  loWorker.conversions = 0;
+  child.stderr.on("data", (chunk) => {
+    loWorker.stderr = (loWorker.stderr + chunk.toString()).slice(-PROCESS_STDERR_LIMIT);
+  });
+  child.on("error", (error) => {
+    loWorker.stderr += error.message;
+  });
+  child.on("close", (code, exitSignal) => {
+    safeRmdir(tempDir);
+    onLoWorkerExit(child, code ?? exitSignal);
+  });
+
+  const deadline = Date.now() + LO_WORKER_START_TIMEOUT;
+  while (loWorker.child === child && Date.now() < deadline) {
+    if (await pingLoWorker()) {
+      loWorker.state = "ready";
+      loWorker.startedAt = Date.now();
+      loWorker.lastHealthCheck = Date.now();
+      logger.info("LibreOffice worker ready", { pid: child.pid, startupMs: Date.now() - (deadline - LO_WORKER_START_TIMEOUT) });
+      sampleLoWorkerRss();
+      return true;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 500));
+  }
+
+  if (loWorker.child === child) {
+    loWorker.lastError = "Did not become ready in time";
+    stopLoWorker("start timeout");
+  }
+  logger.warn("LibreOffice worker failed to start", { error: loWorker.lastError });
+  return false;
+}
+
+function stopLoWorker(reason) {
+  const { child } = loWorker;
+  clearTimeout(loWorker.idleTimer);
+  if (!child) return;
+
+  loWorker.child = null; // the exit is expected now
+  loWorker.state = LO_WORKER_ENABLED ? "stopped" : "disabled";
+  killProcessGroup(child, "SIGTERM");
+  setTimeout(() => killProcessGroup(child, "SIGKILL"), PROCESS_KILL_GRACE);
+  logger.info("LibreOffice worker stopped", { reason, conversions: loWorker.conversions });
+}
+
+function onLoWorkerExit(child, status) {
+  if (loWorker.child !== child) return;
+
+  loWorker.child = null;
+  loWorker.lastError = `Exited with ${status}${loWorker.stderr ? `: ${loWorker.stderr.trim().split("\n").pop()}` : ""}`;
+  const now = Date.now();
+  loWorker.crashes = [...loWorker.crashes.filter((at) => now - at < LO_WORKER_CRASH_WINDOW), now];
+
+  if (loWorker.crashes.length >= 3) {
+    loWorker.state = "failed";
+    loWorker.retryAt = now + LO_WORKER_RETRY_DELAY;
+    logger.error("LibreOffice worker keeps crashing; using one-shot conversions", { error: loWorker.lastError });
+    return;
+  }
+
+  loWorker.state = "crashed";
+  logger.warn("LibreOffice worker crashed; restarting", { error: loWorker.lastError });
+  ensureLoWorker();
+}
+
+// Resolves true once the worker is ready, false if it can't be used.
+// Never rejects.
+function ensureLoWorker() {
+  if (loWorker.state === "ready") return Promise.resolve(true);
+  if (loWorker.starting) return loWorker.starting;
+  if (!LO_WORKER_ENABLED || shuttingDown) return Promise.resolve(false);
+  if (loWorker.state === "failed" && Date.now() < loWorker.retryAt) return Promise.resolve(false);
+
+  // The worker outlives the request that happened to start it; keep
+  // that request's ID off the worker's log lines
+  loWorker.starting = logContext.exit(async () => {
+    try {
+      if (!(await isUnoserverInstalled()) || !(await isLibreOfficeInstalled())) {
+        loWorker.state = "unavailable";
+        return false;
+      }
+      if (loWorker.startedAt) loWorker.restarts++;
+      return await startLoWorker();
+    } catch (error) {
+      // Callers include exit and timer handlers with nobody to catch a
+      // rejection; treat it like a crash loop and convert one-shot
+      if (loWorker.child) stopLoWorker("start failed");
+      loWorker.state = "failed";
+      loWorker.lastError = error.message;
+      loWorker.retryAt = Date.now() + LO_WORKER_RETRY_DELAY;
+      logger.error("LibreOffice worker could not be started; using one-shot conversions", { error: error.message });
+      return false;
+    }
+  }).finally(() => {
+    loWorker.starting = null;
+  });
+  return loWorker.starting;
+}
+
+// One conversion at a time; the next waits for the previous to settle
+function withLoWorkerLock(fn) {
+  const run = loWorker.lock.then(fn);
+  loWorker.lock = run.catch(() => {});
+  return run;
+}
+
+// Resolves false when the worker can't be used, so the caller converts
+// one-shot instead. Throws if the worker was used and failed.
+function convertWithLoWorker(sourcePath, outputPath, conversion, signal, deadline) {
+  // unoconvert passes filter names only; "Text (encoded):UTF8" needs options
+  if (`${conversion.infilter || ""}${conversion.exportFilter}`.includes(":")) {
+    return Promise.resolve(false);
+  }
+
+  return withLoWorkerLock(async () => {
+    if (!(await ensureLoWorker())) return false;
+    signal.throwIfAborted();
+
+    const args = [
+      "--host", "127.0.0.1",
+      "--port", String(LO_WORKER_PORT),
+      "--host-location", "local",
+      "--convert-to", conversion.to,
+      "--filter", conversion.exportFilter,
+    ];
+    if (conversion.infilter) args.push("--input-filter", conversion.infilter);
+    args.push(sourcePath, outputPath);
+
+    clearTimeout(loWorker.idleTimer);
+    loWorker.busy = true;
+    try {
+      await runProcess("unoconvert", args, { timeout: libreOfficeTimeout(deadline), signal });
+      loWorker.conversions++;
+      loWorker.totalConversions++;
+      return true;
+    } catch (error) {
+      // unoserver carries on with a conversion its client gave up on
+      if (error.timedOut || error.aborted) stopLoWorker(error.timedOut ? "conversion timed out" : "conversion cancelled");
+      throw error;
+    } finally {
+      loWorker.busy = false;
+      if (loWorker.conversions >= LO_WORKER_MAX_CONVERSIONS) {
+        stopLoWorker("conversion limit reached");
+      } else if (loWorker.child) {
+        // soffice keeps much of what a conversion allocated
+        sampleLoWorkerRss();
+        loWorker.idleTimer = setTimeout(() => stopLoWorker("idle"), LO_WORKER_IDLE_MS);
+      }
+    }
+  });
+}
+
+// Health check between conversions; a hung worker is replaced
+setInterval(async () => {
+  if (loWorker.state !== "ready" || loWorker.busy) return;
+  const child = loWorker.child;
+  if (await pingLoWorker()) {
+    loWorker.lastHealthCheck = Date.now();
+    return;
+  }
+  if (loWorker.child === child && !loWorker.busy) {
+    loWorker.lastError = "Health check failed";
+    logger.warn("LibreOffice worker not responding; restarting");
+    stopLoWorker("health check failed");
+    ensureLoWorker();
+  }
+}, LO_WORKER_HEALTH_INTERVAL);
+
+// The worker has its own process group and would outlive us
+process.on("exit", () => {
+  if (loWorker.child) killProcessGroup(loWorker.child, "SIGKILL");
+});
+
+// ============================================
+// HELPER: Convert a file with LibreOffice
+// Through the warm worker when possible, else one-shot. One-shot runs
+// get their own private profile so concurrent runs cannot collide on
+// LibreOffice's profile lock. The input is copied in under its real
+// extension and converted with explicit filters, so type detection
+// can't pick the wrong application (a PDF opens in Draw unless it is
+// imported into Writer).
+// ============================================
+const LIBREOFFICE_TIMEOUT = 90000;
+const LIBREOFFICE_MEMORY_MB = 2048; // address space; soffice maps far more than it touches
+const LIBREOFFICE_DEADLINE_MARGIN = 3000; // time left to clean up and answer
+
+// A conversion may take LIBREOFFICE_TIMEOUT, but no longer than the
+// request (REQUEST_TIMEOUT) or job (JOB_TIMEOUT) it runs for has left,
+// so a sync caller gets a 504 from the tool rather than from the timer
+function libreOfficeTimeout(deadline) {
+  const left = deadline - Date.now() - LIBREOFFICE_DEADLINE_MARGIN;
+  if (left <= 0) throw conversionTimedOut();
+  return Math.min(LIBREOFFICE_TIMEOUT, left);
+}
+
+function conversionTimedOut() {
+  return httpError(504, "Conversion timed out", "LibreOffice did not finish in time. Large documents can be converted with ?async=true.");
+}
+
+async function convertOneShot(sourcePath, dir, outputDir, conversion, signal, deadline) {
+  const loProfileDir = path.join(dir, "profile");
+  await fs.mkdir(loProfileDir);
+
+  const args = [
+    "--headless",
+    "--nologo",
+    "--nofirststartwizard",
+    "--norestore",
+    `-env:UserInstallation=file://${loProfileDir}`,
+  ];
+  if (conversion.infilter) {
+    args.push(`--infilter=${conversion.infilter}`);
+  }
+  args.push("--convert-to", `${conversion.to}:${conversion.exportFilter}`, "--outdir", outputDir, sourcePath);
+
+  await runProcess("libreoffice", args, {
+    timeout: libreOfficeTimeout(deadline),
+    memoryMB: LIBREOFFICE_MEMORY_MB,
+    signal,
+  });
+}
+
+// conversion: { ext, infilter, prepare, to, exportFilter } from resolveConversion
+async function convertWithLibreOffice(input, conversion, ctx) {
+  return withPrivateTempDir("lo", async (dir) => {
+    const tempOutputDir = path.join(dir, "output");
+    await fs.mkdir(tempOutputDir);
+
+    const sourcePath = path.join(dir, `source.${conversion.ext}`);
+    if (conversion.prepare) {
+      await conversion.prepare(input.path, sourcePath);
+    } else {
+      await fs.copyFile(input.path, sourcePath);
+    }
+
+    let converted = false;
+    try {
+      converted = await convertWithLoWorker(sourcePath, path.join(tempOutputDir, `source.${conversion.to}`), conversion, ctx.signal, ctx.deadline);
+    } catch (error) {
+      if (error.aborted || ctx.signal.aborted || error.status) throw error;
+      // Out of time; a one-shot run would only get less of it
+      if (error.timedOut) throw conversionTimedOut();
+      incMetric("fallbacks_total", { from: "lo-worker", to: "one-shot", reason: "failed" });
+      logger.warn("LibreOffice worker conversion failed; converting one-shot", { error: error.message });
+    }
+    if (!converted) {
+      try {
+        await convertOneShot(sourcePath, dir, tempOutputDir, conversion, ctx.signal, ctx.deadline);
+      } catch (error) {
+        throw error.timedOut ? conversionTimedOut() : error;
+      }
+    }
+
+    const files = await fs.readdir(tempOutputDir);
+    const outputFile = files.find((f) => f.toLowerCase() === `source.${conversion.to}`);
+
+    if (!outputFile) {
+      throw new Error("Conversion completed but output file not found");
+    }
+
+    const name = `${outputBaseName(input.name)}.${conversion.to}`;
+    const outputPath = workPath(ctx, name);
+    await moveFile(path.join(tempOutputDir, outputFile), outputPath);
+    return { path: outputPath, name, contentType: CONTENT_TYPES[conversion.to] };
+  });
+}
+
+// LibreOffice loads linked images and frames while importing HTML. An
+// upload could use that to make the server fetch internal URLs or pull
+// in local files, so the HTML is parsed and rebuilt from an allowlist:
+// text and table markup, images only from inline data: URLs, and
+// inline styles whose values cannot name a URL. Links are kept but
+// never fetched during import.
+const CSS_VALUE = /^[-#%.,\w\s"']*$|^(?:rgba?|hsla?)\([\d\s.,%]*\)$/i;
+const ALLOWED_STYLES = Object.fromEntries([
+  "color", "background-color", "font-family", "font-size", "font-style", "font-weight",
+  "text-align", "text-decoration", "text-indent", "text-transform", "vertical-align",
+  "line-height", "letter-spacing", "white-space", "width", "height",
+  "margin", "margin-top", "margin-right", "margin-bottom", "margin-left",
+  "padding", "padding-top", "padding-right", "padding-bottom", "padding-left",
+  "border", "border-top", "border-right", "border-bottom", "border-left",
+  "border-color", "border-style", "border-width", "border-collapse",
+].map((property) => [property, [CSS_VALUE]]));
+
+const HTML_ALLOWLIST = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, "img", "font", "center", "strike", "del", "ins"],
+  allowedAttributes: {
+    "*": ["style", "align", "valign", "width", "height", "colspan", "rowspan", "dir", "lang", "title"],
+    a: ["href", "name"],
+    img: ["src", "alt"],
+    font: ["color", "face", "size"],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["data"] },
+  allowProtocolRelative: false,
+  allowedStyles: { "*": ALLOWED_STYLES },
+  // Dropped with their contents; other disallowed tags keep their text
+  nonTextTags: ["head", "title", "script", "style", "template", "textarea", "option", "noscript"],
+};
+
+function stripExternalResources(html) {
+  return `<!DOCTYPE html><html><body>${sanitizeHtml(html, HTML_ALLOWLIST)}</body></html>`;
+}
+
+// The BOM tells the HTML filter the text is UTF-8 (meta tags are stripped)
+async function writeHtmlSource(destination, html) {
+  await fs.writeFile(destination, `\ufeff${stripExternalResources(html.replace(/^\ufeff/, ""))}`);
+}
+
+async function prepareHtml(sourcePath, destination) {
+  await writeHtmlSource(destination, await fs.readFile(sourcePath, "utf8"));
+}
+
+// Raw HTML inside Markdown is escaped rather than passed through
+const markdown = new MarkdownIt({ html: false, linkify: true });
+
+async function prepareMarkdown(sourcePath, destination) {
+  const body = markdown.render(await fs.readFile(sourcePath, "utf8"));
+  await writeHtmlSource(destination, `<!DOCTYPE html><html><body>${body}</body></html>`);
+}
+
+// ============================================
+// TOOL 9 & 10: CONVERT (LibreOffice)
+// `from` -> `to`: office documents, spreadsheets, presentations, text,
+// Markdown and HTML to PDF, and PDF to DOCX, ODT, RTF or TXT.
+// `from` defaults to the file extension (then its detected type) and
+// `to` to "pdf" ("docx" for a PDF). /api/word-to-pdf and
+// /api/pdf-to-word are fixed-pair aliases.
+// ============================================
+const PDF_EXPORT_FILTERS = {
+  writer: "writer_pdf_Export",
+  calc: "calc_pdf_Export",
+  impress: "impress_pdf_Export",
+};
+
+// accepts/formats: what the upload must be detected as (see sniffFile)
+const CONVERT_SOURCES = {
+  doc: { family: "writer", accepts: "document", formats: ["doc"] },
+  docx: { family: "writer", accepts: "document", formats: ["docx"] },
+  odt: { family: "writer", accepts: "document", formats: ["odt"] },
+  rtf: { family: "writer", accepts: "document", formats: ["rtf"] },
+  txt: { family: "writer", accepts: "text", formats: ["text", "html"], infilter: "Text (encoded):UTF8" },
+  md: { family: "writer", accepts: "text", formats: ["text", "html"], infilter: "HTML (StarWriter)", ext: "html", prepare: prepareMarkdown },
+  html: { family: "writer", accepts: "text", formats: ["html", "text"], infilter: "HTML (StarWriter)", prepare: prepareHtml },
+  xls: { family: "calc", accepts: "document", formats: ["xls"] },
+  xlsx: { family: "calc", accepts: "document", formats: ["xlsx"] },
+  ods: { family: "calc", accepts: "document", formats: ["ods"] },
+  ppt: { family: "impress", accepts: "document", formats: ["ppt"] },
+  pptx: { family: "impress", accepts: "document", formats: ["pptx"] },
+  odp: { family: "impress", accepts: "document", formats: ["odp"] },
+  pdf: { family: "pdf", accepts: "pdf", infilter: "writer_pdf_import" },
+};
+
+// PDFs are imported into Writer, so they export like text documents
+const FROM_PDF_EXPORT_FILTERS = {
+  docx: "MS Word 2007 XML",
+  odt: "writer8",
+  rtf: "Rich Text Format",
+  txt: "Text (encoded):UTF8",
+};
+
+const FORMAT_ALIASES = { htm: "html", markdown: "md", text: "txt" };
+
+function normalizeFormat(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const format = String(value).trim().toLowerCase().replace(/^\./, "");
+  return FORMAT_ALIASES[format] || format;
+}
+
+// `from` as given, else the extension when it names a source format
+function declaredSource(options, filename) {
+  const extension = normalizeFormat(path.extname(filename));
+  return normalizeFormat(options.from) || (CONVERT_SOURCES[extension] ? extension : null);
+}
+
+function resolveConversion(from, requestedTo) {
+  const source = CONVERT_SOURCES[from];
+  if (!source) {
+    throw badRequest(`Cannot convert from "${from}". Supported: ${Object.keys(CONVERT_SOURCES).join(", ")}`);
+  }
+
+  const targets = from === "pdf" ? FROM_PDF_EXPORT_FILTERS : { pdf: PDF_EXPORT_FILTERS[source.family] };
+  const to = normalizeFormat(requestedTo) || (from === "pdf" ? "docx" : "pdf");
+  if (!targets[to]) {
+    throw badRequest(`Cannot convert ${from} to ${to}. ${from} converts to: ${Object.keys(targets).join(", ")}`);
+  }
+  return { ...source, ext: source.ext || from, to, exportFilter: targets[to] };
+}
+
+// Per-file validation rule; files with no declared type are checked
+// by the handler once their content has been sniffed
+function convertFileRule(options, file) {
+  const source = CONVERT_SOURCES[declaredSource(options, path.basename(file.originalname))];
+  return source ? { accepts: source.accepts, formats: source.formats } : null;
+}
+
+// `byContent` ignores `from` and the extension and converts from the
+// sniffed type, for callers whose uploads were validated by content
+async function convertTool(inputs, options, ctx, { byContent = false } = {}) {
+  const outputs = [];
+  for (const [i, input] of inputs.entries()) {
+    let from = byContent ? null : declaredSource(options, input.name);
+    if (!from) {
+      const { format } = await sniffFile(input.path);
+      from = format === "text" ? "txt" : format;
+    }
+    const conversion = resolveConversion(from, options.to);
+
+    if (!(await checkLibreOffice()).available) {
+      throw httpError(501, "Feature not available", `Converting ${from.toUpperCase()} to ${conversion.to.toUpperCase()} requires LibreOffice.`);
+    }
+
+    outputs.push(await convertWithLibreOffice(input, conversion, ctx));
+    ctx.onProgress((i + 1) / inputs.length);
+  }
+  return { outputs };
+}
+
+function pdfToWordTool(inputs, options, ctx) {
+  return convertTool(inputs, { from: "pdf", to: "docx" }, ctx);
+}
+
+// Any of doc/docx/odt/rtf is accepted whatever its name, so a DOCX
+// uploaded as report.txt must not go through the Text import filter
+function wordToPdfTool(inputs, options, ctx) {
+  return convertTool(inputs, { to: "pdf" }, ctx, { byContent: true });
+}
+
+// ============================================
+// TOOL 11: PROTECT PDF (qpdf, AES-256)
+// Passwords are passed as argv entries through runProcess, never a shell.
+// ============================================
+async function protectTool(inputs, options, ctx) {
+  const { password, ownerPassword } = options;
+
+  if (!password) {
+    throw httpError(400, "Password required", "Please provide a password to protect the PDF with.");
+  }
+
+  if (!(await isQpdfAvailable())) {
+    throw httpError(501, "Feature not available", "PDF protection requires qpdf.");
+  }
+
+  // Without a distinct owner password anyone who can open the file
+  // could also lift its restrictions, so generate one if not given
+  const owner = ownerPassword || crypto.randomBytes(24).toString("hex");
+  const yn = (value) => (parseBoolean(value, true) ? "y" : "n");
+
+  const outputs = [];
+  for (const input of inputs) {
+    const name = `${outputBaseName(input.name)}-protected.pdf`;
+    const outputPath = workPath(ctx, name);
+
+    await runProcess("qpdf", [
+      "--encrypt", password, owner, "256",
+      `--print=${parseBoolean(options.allowPrint, true) ? "full" : "none"}`,
+      `--extract=${yn(options.allowCopy)}`,
+      `--modify-other=${yn(options.allowModify)}`,
+      `--assemble=${yn(options.allowModify)}`,
+      `--annotate=${yn(options.allowAnnotate)}`,
+      `--form=${yn(options.allowAnnotate)}`,
+      "--",
+      input.path,
+      outputPath,
+    ], { timeout: REQUEST_TIMEOUT, signal: ctx.signal });
+
+    outputs.push({ path: outputPath, name, contentType: CONTENT_TYPES.pdf });
+  }
+  return { outputs };
+}
+
+// ============================================
+// TOOL 12: UNLOCK PDF (qpdf)
+// ============================================
+async function unlockTool(inputs, options, ctx) {
+  const { password = "" } = options;
+
+  if (!(await isQpdfAvailable())) {
+    throw httpError(501, "Feature not available", "PDF unlocking requires qpdf.");
+  }
+
+  const outputs = [];
+  for (const input of inputs) {
+    // --requires-password exits 0 when a password is needed,
+    // 2 when the file is not encrypted, 3 when encrypted without one
+    try {
+      await runProcess("qpdf", ["--requires-password", input.path], { signal: ctx.signal });
+    } catch (error) {
+      if (error.code === 2) {
+        throw httpError(400, "Not encrypted", "This PDF is not password-protected.");
+      }
+      if (error.code !== 3) throw error;
+    }
+
+    const name = `${outputBaseName(input.name)}-unlocked.pdf`;
+    const outputPath = workPath(ctx, name);
+
+    try {
+      await runProcess("qpdf", [
+        `--password=${password}`,
+        "--decrypt",
+        input.path,
+        outputPath,
+      ], { timeout: REQUEST_TIMEOUT, signal: ctx.signal });
+    } catch (error) {
+      if (/invalid password/i.test(error.stderr || "")) {
+        throw httpError(401, "Incorrect password", "The password does not open this PDF.");
+      }
+      // Exit code 3 means success with warnings
+      if (error.code !== 3) throw error;
+    }
+
+    outputs.push({ path: outputPath, name, contentType: CONTENT_TYPES.pdf });
+  }
+  return { outputs };
+}
+
+// ============================================
+// HELPER: Page sizes ("A4", "Letter", [w, h] in points)
+// ============================================
+function resolvePageSize(value) {
+  if (Array.isArray(value)) {
+    const [width, height] = value.map(Number);
+    if (width > 0 && height > 0 && width <= 14400 && height <= 14400) {
+      return [width, height];
+    }
+    throw badRequest("Page size must be [width, height] in points, each up to 14400");
+  }
+
+  const key = Object.keys(PageSizes).find((name) => name.toLowerCase() === String(value).toLowerCase());
+  if (!key) {
+    throw badRequest(`Unknown page size "${value}". Use A4, Letter, Legal, A3, A5... or [width, height]`);
+  }
+  return PageSizes[key];
+}
+
+// ============================================
+// TOOL 14: ORGANIZE PAGES
+// The spec works on original 1-based page numbers and is applied in
+// this order:
+//   order        new sequence; repeats duplicate, omissions drop
+//   delete       pages to drop
+//   duplicate    pages to repeat right after themselves
+//   rotate       { page: 90|180|270 } clockwise, added to current rotation
+//   insertBlank  [{ after, size }]; `after` is a position in the sequence
+//                above (0 = before the first page), size defaults to the
+//                neighbouring page's size
+// ============================================
+function buildOrganizePlan(spec, totalPages) {
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+    throw badRequest("spec must be a JSON object");
+  }
+
+  const checkPage = (value, field) => {
+    const page = Number(value);
+    if (!Number.isInteger(page) || page < 1 || page > totalPages) {
+      throw badRequest(`${field}: page ${value} is outside 1-${totalPages}`);
+    }
+    return page;
+  };
+  const pageList = (value, field) => {
+    if (value === undefined) return [];
+    if (!Array.isArray(value)) throw badRequest(`${field} must be an array of page numbers`);
+    return value.map((page) => checkPage(page, field));
+  };
+
+  let sequence = spec.order !== undefined
+    ? pageList(spec.order, "order")
+    : Array.from({ length: totalPages }, (_, i) => i + 1);
+
+  const deleted = new Set(pageList(spec.delete, "delete"));
+  sequence = sequence.filter((page) => !deleted.has(page));
+
+  const duplicated = new Set(pageList(spec.duplicate, "duplicate"));
+  sequence = sequence.flatMap((page) => (duplicated.has(page) ? [page, page] : [page]));
+
+  const rotations = {};
+  if (spec.rotate !== undefined) {
+    if (typeof spec.rotate !== "object" || Array.isArray(spec.rotate)) {
+      throw badRequest('rotate must be an object like {"1": 90}');
+    }
+    for (const [page, angle] of Object.entries(spec.rotate)) {
+      const rotation = Number(angle);
+      if (![0, 90, 180, 270, -90].includes(rotation)) {
+        throw badRequest(`rotate: ${angle} is not 90, 180 or 270`);
+      }
+      rotations[checkPage(page, "rotate")] = rotation;
+    }
+  }
+
+  // Entries are either { page } or { blank: [w, h] | null }
+  let plan = sequence.map((page) => ({ page }));
+
+  if (spec.insertBlank !== undefined) {
+    if (!Array.isArray(spec.insertBlank)) {
+      throw badRequest("insertBlank must be an array of { after, size }");
+    }
+    const inserts = spec.insertBlank.map((insert) => {
+      const after = Number(insert && insert.after);
+      if (!Number.isInteger(after) || after < 0 || after > sequence.length) {
+        throw badRequest(`insertBlank: position ${insert && insert.after} is outside 0-${sequence.length}`);
+      }
+      return { after, size: insert.size ? resolvePageSize(insert.size) : null };
+    });
+
+    // Insert from the back so earlier positions stay valid
+    inserts.sort((a, b) => b.after - a.after);
+    for (const insert of inserts) {
+      plan.splice(insert.after, 0, { blank: insert.size });
+    }
+  }
+
+  if (plan.length === 0) {
+    throw badRequest("The spec leaves no pages in the document");
+  }
+  return { plan, rotations };
+}
+
+async function organizeTool(inputs, options, ctx) {
+  // Either one `spec` object or its fields given individually
+  const spec = options.spec !== undefined
+    ? parseJsonField(options.spec, "spec")
+    : Object.fromEntries(
+        ["order", "delete", "duplicate", "rotate", "insertBlank"]
+          .filter((field) => options[field] !== undefined)
+          .map((field) => [field, parseJsonField(options[field], field)]),
+      );
+  const outputs = [];
+
+  for (const input of inputs) {
+    const pdfDoc = await loadPdf(input);
+    const { plan, rotations } = buildOrganizePlan(spec, pdfDoc.getPageCount());
+
+    const newDoc = await PDFDocument.create();
+    const pageEntries = plan.filter((entry) => entry.page);
+    const copiedPages = await newDoc.copyPages(pdfDoc, pageEntries.map((entry) => entry.page - 1));
+    pageEntries.forEach((entry, i) => {
+      entry.copy = copiedPages[i];
+    });
+
+    let lastSize = pageEntries.length > 0 ? pageEntries[0].copy.getSize() : null;
+    for (const entry of plan) {
+      if (entry.copy) {
+        const rotation = rotations[entry.page];
+        if (rotation) {
+          const current = entry.copy.getRotation().angle;
+          entry.copy.setRotation(degrees((((current + rotation) % 360) + 360) % 360));
+        }
+        newDoc.addPage(entry.copy);
+        lastSize = entry.copy.getSize();
+      } else {
+        newDoc.addPage(entry.blank || (lastSize ? [lastSize.width, lastSize.height] : PageSizes.A4));
+      }
+    }
+
+    outputs.push(await savePdf(ctx, newDoc, `${outputBaseName(input.name)}-organized.pdf`, { many: inputs.length > 1 }));
+  }
+
+  return { outputs };
+}
+
+// ============================================
+// HELPER: Draw in the page's visual orientation
+// Pages can carry /Rotate and a MediaBox that does not start at 0,0.
+// visualFrame() gives the size as displayed, a mapping from displayed
+// coordinates (origin bottom-left, y up) to page space, and the extra
+// rotation drawings need to appear upright.
+// ============================================
+function visualFrame(page) {
+  const { x: ox, y: oy, width, height } = page.getMediaBox();
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+  const sideways = rotation === 90 || rotation === 270;
+
+  const toPage = (vx, vy) => {
+    switch (rotation) {
+      case 90:
+        return { x: ox + width - vy, y: oy + vx };
+      case 180:
+        return { x: ox + width - vx, y: oy + height - vy };
+      case 270:
+        return { x: ox + vy, y: oy + height - vx };
+      default:
+        return { x: ox + vx, y: oy + vy };
+    }
+  };
+
+  return {
+    width: sideways ? height : width,
+    height: sideways ? width : height,
+    rotation,
+    toPage,
+  };
+}
+
+// Origin (in displayed coordinates) that puts the centre of a w×h box,
+// rotated by `angle` degrees counter-clockwise, at (cx, cy)
+function rotatedBoxOrigin(cx, cy, w, h, angle) {
+  const rad = (angle * Math.PI) / 180;
+  return {
+    x: cx - ((w / 2) * Math.cos(rad) - (h / 2) * Math.sin(rad)),
+    y: cy - ((w / 2) * Math.sin(rad) + (h / 2) * Math.cos(rad)),
+  };
+}
+
+// pdf-lib appends drawings to the end of /Contents; move this page's
+// drawing stream to the front so it sits behind the existing content
+function moveDrawingsBehindContent(page) {
+  const contents = page.node.Contents();
+  if (!(contents instanceof PDFArray) || !page.contentStreamRef) return;
+  const index = contents.indexOf(page.contentStreamRef);
+  if (index > 0) {
+    contents.remove(index);
+    contents.insert(0, page.contentStreamRef);
+  }
+}
+
+// "#rgb" or "#rrggbb"
+function parseColor(value, fallback) {
+  const hex = String(value || fallback).trim().replace(/^#/, "");
+  const full = hex.length === 3 ? hex.split("").map((c) => c + c).join("") : hex;
+  if (!/^[0-9a-f]{6}$/i.test(full)) {
+    throw badRequest(`Invalid color "${value}". Use #rrggbb.`);
+  }
+  return rgb(
+    parseInt(full.slice(0, 2), 16) / 255,
+    parseInt(full.slice(2, 4), 16) / 255,
+    parseInt(full.slice(4, 6), 16) / 255,
+  );
+}
+
+function parseNumber(value, field, { min, max, fallback }) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw badRequest(`${field} must be between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// ============================================
+// TOOL 15: WATERMARK / STAMP
+// Text (`text`) or image (`image` upload field) marks, placed by
+// `position` or tiled across the page, over or under the content.
+// ============================================
+const WATERMARK_POSITIONS = [
+  "center", "diagonal", "top", "bottom",
+  "top-left", "top-right", "bottom-left", "bottom-right",
+];
+// Tiny marks tiled over a large page would mean millions of draw
+// calls in what is a light tool; the spacing grows to stay under this
+const MAX_TILES_PER_PAGE = 100;
+
+async function watermarkTool(inputs, options, ctx) {
+  const text = options.text ? String(options.text) : "";
+  const imageAsset = ctx.assets.image;
+
+  if (!text && !imageAsset) {
+    throw badRequest("Provide watermark text or an image upload");
+  }
+
+  const position = options.position || "center";
+  if (!WATERMARK_POSITIONS.includes(position)) {
+    throw badRequest(`Unknown position "${position}". Use ${WATERMARK_POSITIONS.join(", ")}.`);
+  }
+
+  const layer = options.layer || "over";
+  if (!["over", "under"].includes(layer)) {
+    throw badRequest('layer must be "over" or "under"');
+  }
+
+  const fontSize = parseNumber(options.fontSize, "fontSize", { min: 4, max: 400, fallback: 48 });
+  const opacity = parseNumber(options.opacity, "opacity", { min: 0, max: 1, fallback: 0.3 });
+  const margin = parseNumber(options.margin, "margin", { min: 0, max: 500, fallback: 36 });
+  const scale = parseNumber(options.scale, "scale", { min: 0.01, max: 1, fallback: 0.3 });
+  const explicitRotation = parseNumber(options.rotation, "rotation", { min: -360, max: 360, fallback: null });
+  const color = parseColor(options.color, "#888888");
+  const tile = parseBoolean(options.tile);
+
+  // Prepare the logo once: honour EXIF orientation, cap its size, keep alpha
+  let logoBytes = null;
+  if (imageAsset) {
+    try {
+      logoBytes = await sharp(imageAsset.path)
+        .rotate()
+        .resize({ width: 1200, height: 1200, fit: "inside", withoutEnlargement: true })
+        .png()
+        .toBuffer();
+    } catch (error) {
+      throw badRequest("The watermark image could not be read");
+    }
+  }
+
+  const outputs = [];
+  for (const input of inputs) {
+    const pdfDoc = await loadPdf(input);
+    const indices = rangesToIndices(parsePageRanges(options.pages, pdfDoc.getPageCount()));
+
+    const font = text ? await pdfDoc.embedFont(StandardFonts.HelveticaBold) : null;
+    const logo = logoBytes ? await pdfDoc.embedPng(logoBytes) : null;
+
+    let textWidth = 0;
+    if (font) {
+      try {
+        textWidth = font.widthOfTextAtSize(text, fontSize);
+      } catch (error) {
+        throw badRequest("The watermark text contains characters the standard font cannot draw");
+      }
+    }
+
+    for (const [i, index] of indices.entries()) {
+      const page = pdfDoc.getPage(index);
+      const frame = visualFrame(page);
+
+      // Mark size in displayed units
+      let markWidth, markHeight;
+      if (logo) {
+        markWidth = frame.width * scale;
+        markHeight = (markWidth * logo.height) / logo.width;
+      } else {
+        markWidth = textWidth;
+        markHeight = font.heightAtSize(fontSize, { descender: false });
+      }
+
+      const angle = explicitRotation !== null
+        ? explicitRotation
+        : position === "diagonal"
+          ? (Math.atan2(frame.height, frame.width) * 180) / Math.PI
+          : 0;
+
+      // Centres of every mark on this page, in displayed coordinates
+      const centres = [];
+      if (tile) {
+        let step = Math.max(markWidth, markHeight) * 1.5 + margin;
+        step = Math.max(step, Math.sqrt((frame.width * frame.height) / MAX_TILES_PER_PAGE));
+        while (Math.ceil(frame.width / step) * Math.ceil(frame.height / step) > MAX_TILES_PER_PAGE) {
+          step *= 1.1;
+        }
+        for (let cy = step / 2; cy < frame.height + step / 2; cy += step) {
+          for (let cx = step / 2; cx < frame.width + step / 2; cx += step) {
+            centres.push([cx, cy]);
+          }
+        }
+      } else {
+        const left = margin + markWidth / 2;
+        const right = frame.width - margin - markWidth / 2;
+        const top = frame.height - margin - markHeight / 2;
+        const bottom = margin + markHeight / 2;
+        const middleX = frame.width / 2;
+        const middleY = frame.height / 2;
+        centres.push({
+          center: [middleX, middleY],
+          diagonal: [middleX, middleY],
+          top: [middleX, top],
+          bottom: [middleX, bottom],
+          "top-left": [left, top],
+          "top-right": [right, top],
+          "bottom-left": [left, bottom],
+          "bottom-right": [right, bottom],
+        }[position]);
+      }
+
+      for (const [cx, cy] of centres) {
+        const origin = rotatedBoxOrigin(cx, cy, markWidth, markHeight, angle);
+        const { x, y } = frame.toPage(origin.x, origin.y);
+        const rotate = degrees(angle + frame.rotation);
+
+        if (logo) {
+          page.drawImage(logo, { x, y, width: markWidth, height: markHeight, rotate, opacity });
+        } else {
+          page.drawText(text, { x, y, size: fontSize, font, color, rotate, opacity });
+        }
+      }
+
+      if (layer === "under") {
+        moveDrawingsBehindContent(page);
+      }
+      ctx.onProgress((i + 1) / indices.length);
+    }
+
+    outputs.push(await savePdf(ctx, pdfDoc, `${outputBaseName(input.name)}-watermarked.pdf`, { many: inputs.length > 1 }));
+  }
+
+  return { outputs };
+}
+
+// ============================================
+// TOOL 16: PAGE NUMBERS / HEADERS & FOOTERS
+// `template` placeholders:
+//   {n}         page number (zero-padded to `padding` digits if set)
+//   {total}     last number that will be stamped
+//   {bates}     batesPrefix + number padded to batesDigits (default 6)
+//   {filename}  the uploaded file's name
+//   {date}      today as YYYY-MM-DD
+// Numbers only advance on stamped pages (see `pages` and `skipFirst`).
+// ============================================
+const PAGE_NUMBER_POSITIONS = [
+  "top-left", "top-center", "top-right",
+  "bottom-left", "bottom-center", "bottom-right",
+];
+
+async function pageNumbersTool(inputs, options, ctx) {
+  const batesPrefix = options.batesPrefix !== undefined ? String(options.batesPrefix) : null;
+  const template = String(options.template || (batesPrefix !== null ? "{bates}" : "{n}"));
+
+  const position = options.position || "bottom-center";
+  if (!PAGE_NUMBER_POSITIONS.includes(position)) {
+    throw badRequest(`Unknown position "${position}". Use ${PAGE_NUMBER_POSITIONS.join(", ")}.`);
+  }
+
+  const fontSize = parseNumber(options.fontSize, "fontSize", { min: 4, max: 72, fallback: 10 });
+  const margin = parseNumber(options.margin, "margin", { min: 0, max: 300, fallback: 28 });
+  const marginX = parseNumber(options.marginX, "marginX", { min: 0, max: 300, fallback: margin });
+  const marginY = parseNumber(options.marginY, "marginY", { min: 0, max: 300, fallback: margin });
+  const start = parseNumber(options.start, "start", { min: 0, max: 1e9, fallback: 1 });
+  const padding = parseNumber(options.padding, "padding", { min: 0, max: 12, fallback: 0 });
+  const batesDigits = parseNumber(options.batesDigits, "batesDigits", { min: 1, max: 12, fallback: 6 });
+  const color = parseColor(options.color, "#000000");
+  const skipFirst = parseBoolean(options.skipFirst);
+  const date = new Date().toISOString().slice(0, 10);
+
+  if (!Number.isInteger(start)) {
+    throw badRequest("start must be a whole number");
+  }
+
+  const outputs = [];
+  for (const input of inputs) {
+    const pdfDoc = await loadPdf(input);
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+
+    let indices = rangesToIndices(parsePageRanges(options.pages, pdfDoc.getPageCount()));
+    if (skipFirst) {
+      indices = indices.filter((index) => index !== 0);
+    }
+    const total = start + indices.length - 1;
+
+    for (const [i, index] of indices.entries()) {
+      const number = start + i;
+      const values = {
+        n: String(number).padStart(padding, "0"),
+        total: String(total),
+        bates: `${batesPrefix || ""}${String(number).padStart(batesDigits, "0")}`,
+        filename: input.name,
+        date,
+      };
+      // One pass with a replacer: user text (file names, batesPrefix)
+      // is inserted literally and never expanded as a placeholder itself
+      const label = template.replace(/\{(n|total|bates|filename|date)\}/g, (match, key) => values[key]);
+
+      let labelWidth;
+      try {
+        labelWidth = font.widthOfTextAtSize(label, fontSize);
+      } catch (error) {
+        throw badRequest("The label contains characters the standard font cannot draw");
+      }
+
+      const page = pdfDoc.getPage(index);
+      const frame = visualFrame(page);
+      const [vertical, horizontal] = position.split("-");
+
+      const vx = horizontal === "left"
+        ? marginX
+        : horizontal === "right"
+          ? frame.width - marginX - labelWidth
+          : (frame.width - labelWidth) / 2;
+      const vy = vertical === "top"
+        ? frame.height - marginY - font.heightAtSize(fontSize, { descender: false })
+        : marginY;
+
+      const { x, y } = frame.toPage(vx, vy);
+      page.drawText(label, { x, y, size: fontSize, font, color, rotate: degrees(frame.rotation) });
+      ctx.onProgress((i + 1) / indices.length);
+    }
+
+    outputs.push(await savePdf(ctx, pdfDoc, `${outputBaseName(input.name)}-numbered.pdf`, { many: inputs.length > 1 }));
+  }
+
+  return { outputs };
+}
+
+// ============================================
+// TOOL 17: METADATA
+// Read: a JSON description of the document (info dictionary, pages,
+// version, encryption, forms, attachments, fonts, XMP).
+// Write: set info fields, or strip everything with strip=true. Fields
+// sent as "" are removed. A stale XMP packet would override the new
+// values in most viewers, so it is dropped whenever fields change.
+// ============================================
+const METADATA_FIELDS = {
+  title: "Title",
+  author: "Author",
+  subject: "Subject",
+  keywords: "Keywords",
+  creator: "Creator",
+  producer: "Producer",
+  creationDate: "CreationDate",
+  modDate: "ModDate",
+};
+const PDF_DATE_KEYS = ["CreationDate", "ModDate"];
+
+// "D:20240131120000+01'00'" -> ISO 8601 (or the raw string if malformed)
+function parsePdfDate(value) {
+  const match = /^D?:?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+-])?(\d{2})?'?(\d{2})?/.exec(value);
+  if (!match) return value;
+  const [, year, month = "01", day = "01", hour = "00", minute = "00", second = "00", sign, tzHour = "00", tzMinute = "00"] = match;
+  const zone = !sign || sign.toUpperCase() === "Z" ? "Z" : `${sign}${tzHour}:${tzMinute}`;
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`);
+  return Number.isNaN(date.getTime()) ? value : date.toISOString();
+}
+
+function decodePdfValue(context, value) {
+  const object = context.lookup(value);
+  if (object instanceof PDFString || object instanceof PDFHexString) return object.decodeText();
+  if (object instanceof PDFName) return object.decodeText();
+  return object ? object.toString() : null;
+}
+
+function infoDictionary(pdfDoc) {
+  const info = pdfDoc.context.lookup(pdfDoc.context.trailerInfo.Info);
+  return info instanceof PDFDict ? info : null;
+}
+
+function readInfo(pdfDoc) {
+  const info = infoDictionary(pdfDoc);
+  if (!info) return {};
+  const fields = {};
+  for (const [key, value] of info.entries()) {
+    const name = key.decodeText();
+    const text = decodePdfValue(pdfDoc.context, value);
+    fields[name] = PDF_DATE_KEYS.includes(name) && text ? parsePdfDate(text) : text;
+  }
+  return fields;
+}
+
+function readXmp(pdfDoc) {
+  const stream = pdfDoc.catalog.lookup(PDFName.of("Metadata"));
+  if (!(stream instanceof PDFStream)) return null;
+  try {
+    const bytes = stream.contents && !stream.dict.get(PDFName.of("Filter"))
+      ? stream.contents
+      : decodePDFRawStream(stream).decode();
+    return Buffer.from(bytes).toString("utf8");
+  } catch (error) {
+    return null; // unsupported filter
+  }
+}
+
+function countFormFields(pdfDoc) {
+  const acroForm = pdfDoc.catalog.lookup(PDFName.of("AcroForm"));
+  if (!(acroForm instanceof PDFDict)) return 0;
+  const fields = acroForm.lookup(PDFName.of("Fields"));
+  return fields instanceof PDFArray ? fields.size() : 0;
+}
+
+// Walk the /EmbeddedFiles name tree
+function listAttachments(pdfDoc) {
+  const names = pdfDoc.catalog.lookup(PDFName.of("Names"));
+  if (!(names instanceof PDFDict)) return [];
+  const root = names.lookup(PDFName.of("EmbeddedFiles"));
+  const attachments = [];
+  const visit = (node, depth) => {
+    if (!(node instanceof PDFDict) || depth > 32) return;
+    const entries = node.lookup(PDFName.of("Names"));
+    if (entries instanceof PDFArray) {
+      for (let i = 0; i + 1 < entries.size(); i += 2) {
+        const spec = entries.lookup(i + 1);
+        const fileName = spec instanceof PDFDict
+          ? spec.get(PDFName.of("UF")) || spec.get(PDFName.of("F"))
+          : null;
+        attachments.push(decodePdfValue(pdfDoc.context, fileName || entries.get(i)));
+      }
+    }
+    const kids = node.lookup(PDFName.of("Kids"));
+    if (kids instanceof PDFArray) {
+      for (let i = 0; i < kids.size(); i++) visit(kids.lookup(i), depth + 1);
+    }
+  };
+  visit(root, 0);
+  return attachments;
+}
+
+// Fonts referenced from page resources, deduplicated by object
+function listFonts(pdfDoc) {
+  const fonts = new Map();
+  const fontFileKeys = ["FontFile", "FontFile2", "FontFile3"].map((key) => PDFName.of(key));
+
+  for (const page of pdfDoc.getPages()) {
+    const resources = page.node.Resources();
+    const fontDict = resources && resources.lookup(PDFName.of("Font"));
+    if (!(fontDict instanceof PDFDict)) continue;
+
+    for (const [, ref] of fontDict.entries()) {
+      const key = ref.toString();
+      const font = pdfDoc.context.lookup(ref);
+      if (fonts.has(key) || !(font instanceof PDFDict)) continue;
+
+      // Type0 fonts keep the descriptor on their descendant
+      let descriptorOwner = font;
+      const descendants = font.lookup(PDFName.of("DescendantFonts"));
+      if (descendants instanceof PDFArray && descendants.size() > 0) {
+        descriptorOwner = descendants.lookup(0);
+      }
+      const descriptor = descriptorOwner instanceof PDFDict
+        ? descriptorOwner.lookup(PDFName.of("FontDescriptor"))
+        : null;
+      const embedded = descriptor instanceof PDFDict
+        && fontFileKeys.some((fileKey) => descriptor.has(fileKey));
+
+      fonts.set(key, {
+        name: decodePdfValue(pdfDoc.context, font.get(PDFName.of("BaseFont"))),
+        type: decodePdfValue(pdfDoc.context, font.get(PDFName.of("Subtype"))),
+        embedded,
+      });
+    }
+  }
+  return [...fonts.values()];
+}
+
+async function describePdf(input) {
+  const bytes = await fs.readFile(input.path);
+  const header = /%PDF-(\d\.\d)/.exec(bytes.subarray(0, 1024).toString("latin1"));
+
+  let pdfDoc;
+  try {
+    pdfDoc = await loadPdf(input, { ignoreEncryption: true, updateMetadata: false });
+  } catch (error) {
+    if (!bytes.includes("/Encrypt")) throw error;
+    // Encrypted object streams hide the page tree until unlocked
+    return {
+      filename: input.name,
+      fileSize: bytes.length,
+      version: header ? header[1] : null,
+      encrypted: true,
+      info: null,
+      xmp: null,
+      pageCount: null,
+      pages: null,
+    };
+  }
+
+  // A catalog /Version overrides the header when it is newer
+  const catalogVersion = pdfDoc.catalog.lookup(PDFName.of("Version"));
+  const version = catalogVersion instanceof PDFName
+    ? catalogVersion.decodeText()
+    : header && header[1];
+
+  // Strings in an encrypted file are ciphertext; don't pretend to read them
+  const encrypted = pdfDoc.isEncrypted;
+  const fonts = listFonts(pdfDoc);
+  const attachments = listAttachments(pdfDoc);
+  const formFields = countFormFields(pdfDoc);
+
+  return {
+    filename: input.name,
+    fileSize: bytes.length,
+    version: version || null,
+    encrypted,
+    info: encrypted ? null : readInfo(pdfDoc),
+    xmp: encrypted ? null : readXmp(pdfDoc),
+    pageCount: pdfDoc.getPageCount(),
+    pages: pdfDoc.getPages().map((page, index) => {
+      const { width, height } = page.getSize();
+      return {
+        number: index + 1,
+        width: Math.round(width * 100) / 100,
+        height: Math.round(height * 100) / 100,
+        rotation: page.getRotation().angle,
+      };
+    }),
+    hasForms: formFields > 0,
+    formFieldCount: formFields,
+    hasAttachments: attachments.length > 0,
+    attachments,
+    hasEmbeddedFonts: fonts.some((font) => font.embedded),
+    fonts,
+  };
+}
+
+function removeDocumentMetadata(pdfDoc) {
+  const info = infoDictionary(pdfDoc);
+  if (info) {
+    for (const key of info.keys()) info.delete(key);
+  }
+  pdfDoc.catalog.delete(PDFName.of("Metadata"));
+}
+
+function parseDateField(value, field) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw badRequest(`${field} must be a date, e.g. 2024-01-31T12:00:00Z`);
+  }
+  return date;
+}
+
+async function metadataTool(inputs, options, ctx) {
+  const strip = parseBoolean(options.strip);
+  const custom = options.custom !== undefined ? parseJsonField(options.custom, "custom") : {};
+  if (!custom || typeof custom !== "object" || Array.isArray(custom)) {
+    throw badRequest('custom must be a JSON object, e.g. {"Department": "Legal"}');
+  }
+
+  const updates = Object.keys(METADATA_FIELDS).filter((field) => options[field] !== undefined);
+  if (!strip && updates.length === 0 && Object.keys(custom).length === 0) {
+    throw badRequest(`Nothing to change. Send strip=true or any of: ${Object.keys(METADATA_FIELDS).join(", ")}, custom`);
+  }
+
+  const outputs = [];
+  for (const [i, input] of inputs.entries()) {
+    const pdfDoc = await loadPdf(input, { updateMetadata: false });
+
+    if (strip) {
+      removeDocumentMetadata(pdfDoc);
+    } else {
+      pdfDoc.catalog.delete(PDFName.of("Metadata"));
+    }
+
+    for (const field of updates) {
+      const value = String(options[field]);
+      if (value === "") {
+        const info = infoDictionary(pdfDoc);
+        if (info) info.delete(PDFName.of(METADATA_FIELDS[field]));
+        continue;
+      }
+      switch (field) {
+        case "title": pdfDoc.setTitle(value); break;
+        case "author": pdfDoc.setAuthor(value); break;
+        case "subject": pdfDoc.setSubject(value); break;
+        case "keywords": {
+          const keywords = value.trim().startsWith("[") ? parseJsonField(value, "keywords") : value.split(",");
+          pdfDoc.setKeywords(keywords.map((keyword) => String(keyword).trim()).filter(Boolean));
+          break;
+        }
+        case "creator": pdfDoc.setCreator(value); break;
+        case "producer": pdfDoc.setProducer(value); break;
+        case "creationDate": pdfDoc.setCreationDate(parseDateField(value, field)); break;
+        case "modDate": pdfDoc.setModificationDate(parseDateField(value, field)); break;
+      }
+    }
+
+    for (const [key, value] of Object.entries(custom)) {
+      if (Object.values(METADATA_FIELDS).includes(key) || !/^[A-Za-z][A-Za-z0-9_-]{0,63}$/.test(key)) {
+        throw badRequest(`custom: "${key}" is not an allowed key`);
+      }
+      if (value === null || value === "") {
+        const info = infoDictionary(pdfDoc);
+        if (info) info.delete(PDFName.of(key));
+        continue;
+      }
+      // setTitle() and friends create the info dictionary on first use
+      pdfDoc.getInfoDict().set(PDFName.of(key), PDFHexString.fromText(String(value)));
+    }
+
+    outputs.push(await savePdf(ctx, pdfDoc, input.name, { many: inputs.length > 1 }));
+    ctx.onProgress((i + 1) / inputs.length);
+  }
+
+  return { outputs };
+}
+
+// ============================================
+// TOOL 18: OCR (Tesseract)
+// Pages are rendered with Ghostscript (as for pdf-to-images) and read
+// by Tesseract. PDF output keeps each original page and lays
+// Tesseract's text-only PDF over it as an invisible, selectable layer.
+// A page that was rotated or deskewed is replaced by the corrected
+// scan, since the original content would no longer line up with it.
+// Pages that already have text are left alone unless skipText=false.
+// ============================================
+const OCR_FORMATS = {
+  pdf: { ext: "pdf", contentType: CONTENT_TYPES.pdf },
+  txt: { ext: "txt", contentType: CONTENT_TYPES.txt },
+  text: { ext: "txt", contentType: CONTENT_TYPES.txt },
+  hocr: { ext: "hocr", contentType: CONTENT_TYPES.hocr },
+};
+const OCR_MIN_ORIENTATION_CONFIDENCE = 5; // Tesseract's OSD score; lower is a guess
+const OCR_MIN_SKEW = 0.3; // degrees; less is not worth resampling the page
+const OCR_MAX_SKEW = 15; // more is more likely bad line detection than skew
+
+// A string operand followed by a text-showing operator: (..) Tj, [..] TJ, ' or "
+const TEXT_SHOW_PATTERN = /[)>\]]\s*(?:Tj|TJ|'|")/;
+
+function streamSource(stream) {
+  try {
+    const bytes = typeof stream.getUnencodedContents === "function"
+      ? stream.getUnencodedContents()
+      : decodePDFRawStream(stream).decode();
+    return Buffer.from(bytes).toString("latin1");
+  } catch (error) {
+    return ""; // unsupported filter
+  }
+}
+
+// Looks through the page's content streams and the form XObjects they
+// can draw. Invisible text counts too: that page has been OCRed before.
+function pageHasText(pdfDoc, page) {
+  const contents = page.node.Contents();
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map((ref) => pdfDoc.context.lookup(ref))
+    : [contents];
+  return streamsHaveText(pdfDoc, streams, page.node.Resources(), new Set());
+}
+
+function streamsHaveText(pdfDoc, streams, resources, seen) {
+  for (const stream of streams) {
+    if (stream instanceof PDFStream && TEXT_SHOW_PATTERN.test(streamSource(stream))) return true;
+  }
+
+  const xObjects = resources instanceof PDFDict ? resources.lookup(PDFName.of("XObject")) : null;
+  if (!(xObjects instanceof PDFDict)) return false;
+
+  for (const [, ref] of xObjects.entries()) {
+    const key = ref.toString();
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const xObject = pdfDoc.context.lookup(ref);
+    if (!(xObject instanceof PDFStream) || xObject.dict.get(PDFName.of("Subtype")) !== PDFName.of("Form")) continue;
+    if (streamsHaveText(pdfDoc, [xObject], xObject.dict.lookup(PDFName.of("Resources")), seen)) return true;
+  }
+  return false;
+}
+
+// "1-3,5" from [5, 1, 2, 3]
+function formatPageList(pageNumbers) {
+  return pageRuns(pageNumbers).map(([first, last]) => (first === last ? `${first}` : `${first}-${last}`)).join(",");
+}
+
+async function resolveOcrLanguage(value, needsOrientation) {
+  const language = String(value || "eng").trim();
+  if (!/^[A-Za-z0-9_]+(\+[A-Za-z0-9_]+)*$/.test(language)) {
+    throw badRequest(`Invalid language "${language}". Use Tesseract codes such as eng, or eng+deu for several.`);
+  }
+
+  const installed = await listTesseractLanguages();
+  const available = installed.filter((code) => code !== "osd");
+  const missing = language.split("+").filter((code) => code === "osd" || !installed.includes(code));
+  if (missing.length > 0) {
+    throw httpError(400, "Invalid request", `Language not installed: ${missing.join(", ")}. Available: ${available.join(", ")}`, { available });
+  }
+  if (needsOrientation && !installed.includes("osd")) {
+    throw httpError(501, "Feature not available", "Automatic rotation requires Tesseract's orientation data (osd).");
+  }
+  return language;
+}
+
+// Clockwise rotation that makes the page upright, or 0 when Tesseract
+// can't tell (blank pages, too little text)
+async function detectOrientation(imagePath, signal) {
+  try {
+    const { stdout } = await runProcess("tesseract", [imagePath, "-", "--psm", "0"], {
+      signal,
+      quiet: true,
+      env: { OMP_THREAD_LIMIT: "1" },
+    });
+    const text = stdout.toString();
+    const rotate = /Rotate:\s*(\d+)/.exec(text);
+    const confidence = /Orientation confidence:\s*([\d.]+)/.exec(text);
+    if (!rotate || !confidence || Number(confidence[1]) < OCR_MIN_ORIENTATION_CONFIDENCE) return 0;
+    return Number(rotate[1]) % 360;
+  } catch (error) {
+    if (error.aborted) throw error;
+    return 0;
+  }
+}
+
+// Median baseline slope of the recognised lines, as the clockwise
+// rotation in degrees that levels them (0 when there is nothing to go by)
+function skewFromHocr(hocr) {
+  const slopes = [];
+  for (const match of hocr.matchAll(/class=['"]ocr_line['"][^>]*title=['"][^'"]*baseline (-?[\d.]+) /g)) {
+    slopes.push(Number(match[1]));
+  }
+  if (slopes.length === 0) return 0;
+  slopes.sort((a, b) => a - b);
+  const angle = (-Math.atan(slopes[Math.floor(slopes.length / 2)]) * 180) / Math.PI;
+  return Math.abs(angle) < OCR_MIN_SKEW || Math.abs(angle) > OCR_MAX_SKEW ? 0 : angle;
+}
+
+// Rotate about the centre and crop back to the original size, on white
+async function straightenImage(png, angle) {
+  const { width, height } = await sharp(png).metadata();
+  const { data, info } = await sharp(png)
+    .rotate(angle, { background: "#ffffff" })
+    .toBuffer({ resolveWithObject: true });
+  return sharp(data)
+    .extract({
+      left: Math.floor((info.width - width) / 2),
+      top: Math.floor((info.height - height) / 2),
+      width,
+      height,
+    })
+    .png()
+    .toBuffer();
+}
+
+// One Tesseract run, writing each requested format next to the image
+async function recognizeImage(dir, imagePath, { language, dpi, formats, signal }) {
+  const outputBase = path.join(dir, "ocr");
+  const args = [imagePath, outputBase, "-l", language, "--dpi", String(dpi)];
+  if (formats.includes("pdf")) args.push("-c", "textonly_pdf=1");
+
+  // One thread: there is a single core to share and OpenMP threads
+  // make Tesseract slower, not faster, under contention
+  await runProcess("tesseract", [...args, ...formats], { signal, env: { OMP_THREAD_LIMIT: "1" } });
+
+  const result = {};
+  for (const format of formats) {
+    result[format] = await fs.readFile(`${outputBase}.${format}`);
+  }
+  return result;
+}
+
+// Render, optionally straighten, and read one page. `corrected` is
+// set when the returned image no longer matches the original page.
+async function ocrPage(input, page, pageNumber, settings) {
+  const { dpi, rotate, deskew, formats, signal } = settings;
+  let png = await renderPdfPage(input.path, page, pageNumber, dpi, { signal });
+
+  return withPrivateTempDir("ocr", async (dir) => {
+    const imagePath = path.join(dir, "page.png");
+    await fs.writeFile(imagePath, png);
+    let corrected = false;
+
+    if (rotate) {
+      const angle = await detectOrientation(imagePath, signal);
+      if (angle) {
+        png = await sharp(png).rotate(angle).png().toBuffer();
+        await fs.writeFile(imagePath, png);
+        corrected = true;
+      }
+    }
+
+    const passFormats = deskew && !formats.includes("hocr") ? [...formats, "hocr"] : formats;
+    let result = await recognizeImage(dir, imagePath, { ...settings, formats: passFormats });
+
+    if (deskew) {
+      const angle = skewFromHocr(result.hocr.toString());
+      if (angle) {
+        png = await straightenImage(png, angle);
+        await fs.writeFile(imagePath, png);
+        result = await recognizeImage(dir, imagePath, settings);
+        corrected = true;
+      }
+    }
+
+    return { ...result, png: corrected ? png : null };
+  });
+}
+
+// Corrected pages become the straightened scan (JPEG) at the page's
+// displayed width; the text layer is drawn upright over whatever the
+// page shows, through the page's own rotation
+async function addTextLayer(pdfDoc, index, layerPdf, correctedPng) {
+  let page = pdfDoc.getPage(index);
+  let frame = visualFrame(page);
+
+  if (correctedPng) {
+    // Rotating and cropping keep the pixel area, so the scale follows from it
+    const { width, height } = await sharp(correctedPng).metadata();
+    const scale = Math.sqrt((frame.width * frame.height) / (width * height));
+    const jpeg = await sharp(correctedPng).flatten({ background: "#ffffff" }).jpeg({ quality: 85, mozjpeg: true }).toBuffer();
+    const image = await pdfDoc.embedJpg(jpeg);
+
+    page = pdfDoc.insertPage(index, [width * scale, height * scale]);
+    pdfDoc.removePage(index + 1);
+    page.drawImage(image, { x: 0, y: 0, width: width * scale, height: height * scale });
+    frame = visualFrame(page);
+  }
+
+  const [layer] = await pdfDoc.embedPdf(layerPdf);
+  const { x, y } = frame.toPage(0, 0);
+  page.drawPage(layer, { x, y, width: frame.width, height: frame.height, rotate: degrees(frame.rotation) });
+}
+
+// hOCR documents from single-page runs, joined into one. Tesseract
+// numbers every id from page 1 and records the temp image path.
+function mergeHocr(pages) {
+  const body = (hocr) => hocr.slice(hocr.indexOf("<body>") + "<body>".length, hocr.lastIndexOf("</body>"));
+  const first = pages[0].hocr;
+  const parts = pages.map(({ hocr, pageNumber }) => body(hocr)
+    .replace(/(id=['"][a-z]+_)1(?=['"_])/g, `$1${pageNumber}`)
+    .replace(/image "[^"]*"; /, "")
+    .replace(/ppageno \d+/, `ppageno ${pageNumber - 1}`));
+  return `${first.slice(0, first.indexOf("<body>") + "<body>".length)}${parts.join("")}</body>\n</html>\n`;
+}
+
+async function ocrTool(inputs, options, ctx) {
+  const { format: formatName = "pdf", language, dpi = "300", pages = "all" } = options;
+
+  const format = OCR_FORMATS[String(formatName).toLowerCase()];
+  if (!format) {
+    throw badRequest(`Unsupported format "${formatName}". Use pdf, txt or hocr.`);
+  }
+
+  const density = parseInt(dpi, 10);
+  if (!density || density < 150 || density > 400) {
+    throw badRequest("dpi must be between 150 and 400");
+  }
+
+  const rotate = parseBoolean(options.rotate);
+  const deskew = parseBoolean(options.deskew);
+  const skipText = parseBoolean(options.skipText, true);
+
+  if (!(await isTesseractAvailable()) || !(await isGhostscriptAvailable())) {
+    throw httpError(501, "Feature not available", "OCR requires Tesseract and Ghostscript.");
+  }
+  const ocrLanguage = await resolveOcrLanguage(language, rotate);
+  const settings = { language: ocrLanguage, dpi: density, rotate, deskew, formats: [format.ext], signal: ctx.signal };
+
+  const outputs = [];
+  const recognized = [];
+  const skipped = [];
+
+  for (const input of inputs) {
+    const pdfDoc = await loadPdf(input);
+    const selected = [...new Set(rangesToIndices(parsePageRanges(pages, pdfDoc.getPageCount())))];
+    const indices = selected.filter((index) => !(skipText && pageHasText(pdfDoc, pdfDoc.getPage(index))));
+    skipped.push(...selected.filter((index) => !indices.includes(index)).map((index) => index + 1));
+
+    if (indices.length === 0 && format.ext !== "pdf") {
+      throw httpError(422, "Nothing to OCR", `The selected pages of ${input.name} already have text. Send skipText=false to OCR them anyway.`, { code: "ALREADY_HAS_TEXT", file: input.name });
+    }
+
+    const results = [];
+    for (const [i, index] of indices.entries()) {
+      const result = await ocrPage(input, pdfDoc.getPage(index), index + 1, settings);
+      if (format.ext === "pdf") {
+        await addTextLayer(pdfDoc, index, result.pdf, result.png);
+      } else {
+        results.push({ pageNumber: index + 1, [format.ext]: result[format.ext].toString("utf8") });
+      }
+      recognized.push(index + 1);
+      ctx.onProgress((i + 1) / indices.length);
+    }
+
+    const baseName = outputBaseName(input.name);
+    if (format.ext === "pdf") {
+      outputs.push(await savePdf(ctx, pdfDoc, input.name, { many: inputs.length > 1 }));
+      continue;
+    }
+
+    const name = `${baseName}.${format.ext}`;
+    const outputPath = workPath(ctx, name);
+    const body = format.ext === "hocr" ? mergeHocr(results) : results.map((result) => result.txt).join("");
+    await fs.writeFile(outputPath, body);
+    outputs.push({ path: outputPath, name, contentType: format.contentType });
+  }
+
+  return {
+    outputs,
+    headers: {
+      "X-OCR-Pages": formatPageList(recognized),
+      "X-OCR-Skipped-Pages": formatPageList(skipped),
+    },
+  };
+}
+
+// ============================================
+// TOOL 19 & 20: EXTRACT TEXT AND IMAGES (poppler-utils)
+// pdftotext and pdfimages run once per run of consecutive selected
+// pages. Text comes back per page as JSON, optionally with word boxes
+// (points, origin at the page's top-left corner), or as plain text
+// with a form feed after each page. Images keep their native
+// resolution: JPEGs as stored, everything else as PNG, listed in a
+// manifest.json that leads the ZIP.
+// ============================================
+async function requirePoppler(feature) {
+  if (!(await isPopplerAvailable())) {
+    throw httpError(501, "Feature not available", `${feature} requires poppler-utils (pdftotext and pdfimages).`);
+  }
+}
+
+function selectedPageRuns(pdfDoc, pages) {
+  return pageRuns(rangesToIndices(parsePageRanges(pages, pdfDoc.getPageCount())).map((index) => index + 1));
+}
+
+function decodeXmlText(text) {
+  const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === "#") {
+      const code = name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return named[name] ?? entity;
+  });
+}
+
+const roundPoints = (value) => Math.round(Number(value) * 100) / 100;
+
+// pdftotext -bbox: <page width height> elements holding
+// <word xMin yMin xMax yMax>text</word>
+function parseWordBoxes(html) {
+  const attribute = (attributes, name) => roundPoints((new RegExp(`${name}="([^"]*)"`).exec(attributes) || [])[1]);
+  return [...html.matchAll(/<page([^>]*)>([\s\S]*?)<\/page>/g)].map(([, pageAttributes, body]) => ({
+    width: attribute(pageAttributes, "width"),
+    height: attribute(pageAttributes, "height"),
+    words: [...body.matchAll(/<word([^>]*)>([\s\S]*?)<\/word>/g)].map(([, wordAttributes, text]) => ({
+      text: decodeXmlText(text),
+      x0: attribute(wordAttributes, "xMin"),
+      y0: attribute(wordAttributes, "yMin"),
+      x1: attribute(wordAttributes, "xMax"),
+      y1: attribute(wordAttributes, "yMax"),
+    })),
+  }));
+}
+
+// Output goes to files: stdout is capped at PROCESS_STDOUT_LIMIT
+async function extractPageText(input, runs, { layout, words, signal }) {
+  return withPrivateTempDir("text", async (dir) => {
+    const pages = [];
+    for (const [first, last] of runs) {
+      const range = ["-f", String(first), "-l", String(last)];
+
+      const textPath = path.join(dir, "text.txt");
+      await runProcess("pdftotext", ["-enc", "UTF-8", ...(layout ? ["-layout"] : []), ...range, input.path, textPath], { signal });
+      const texts = (await fs.readFile(textPath, "utf8")).split("\f");
+
+      let boxes = [];
+      if (words) {
+        const boxesPath = path.join(dir, "words.html");
+        await runProcess("pdftotext", ["-enc", "UTF-8", "-bbox", ...range, input.path, boxesPath], { signal });
+        boxes = parseWordBoxes(await fs.readFile(boxesPath, "utf8"));
+      }
+
+      for (let pageNumber = first; pageNumber <= last; pageNumber++) {
+        const page = { page: pageNumber, text: texts[pageNumber - first] || "" };
+        if (words) Object.assign(page, boxes[pageNumber - first] || { width: null, height: null, words: [] });
+        pages.push(page);
+      }
+    }
+    return pages;
+  });
+}
+
+async function extractTextTool(inputs, options, ctx) {
+  const { format: formatName = "json", pages = "all" } = options;
+
+  const format = { json: "json", txt: "txt", text: "txt" }[String(formatName).toLowerCase()];
+  if (!format) {
+    throw badRequest(`Unsupported format "${formatName}". Use json or txt.`);
+  }
+  const layout = parseBoolean(options.layout);
+  const words = parseBoolean(options.words);
+  if (words && format !== "json") {
+    throw badRequest("Word boxes are only available with format=json");
+  }
+  await requirePoppler("Text extraction");
+
+  const outputs = [];
+  for (const [i, input] of inputs.entries()) {
+    const pdfDoc = await loadPdf(input);
+    const pageTexts = await extractPageText(input, selectedPageRuns(pdfDoc, pages), { layout, words, signal: ctx.signal });
+
+    const pagesWithoutText = pageTexts.filter((page) => !page.text.trim()).map((page) => page.page);
+    if (pagesWithoutText.length === pageTexts.length) {
+      throw httpError(422, "No text found", `${input.name} has no text on the selected pages; it looks like scanned images. Make it searchable with /api/ocr first.`, {
+        code: "IMAGE_ONLY_PDF",
+        file: input.name,
+      });
+    }
+
+    const name = `${outputBaseName(input.name)}.${format}`;
+    const body = format === "json"
+      ? JSON.stringify({ file: input.name, pageCount: pdfDoc.getPageCount(), pages: pageTexts, pagesWithoutText })
+      : pageTexts.map((page) => `${page.text}\f`).join("");
+    const outputPath = workPath(ctx, name);
+    await fs.writeFile(outputPath, body);
+    outputs.push({ path: outputPath, name, contentType: CONTENT_TYPES[format] });
+    ctx.onProgress((i + 1) / inputs.length);
+  }
+
+  return { outputs };
+}
+
+// pdfimages -list: page num type width height color comp bpc enc
+// interp object-ID x-ppi y-ppi size ratio (the object ID is "12 0")
+function parseImageList(text) {
+  const number = (value) => (Number.isFinite(Number(value)) ? Number(value) : null);
+  return text.split("\n")
+    .map((line) => line.trim().split(/\s+/))
+    .filter((columns) => columns.length >= 15 && /^\d+$/.test(columns[0]))
+    .map((columns) => ({
+      page: Number(columns[0]),
+      num: Number(columns[1]),
+      type: columns[2],
+      width: Number(columns[3]),
+      height: Number(columns[4]),
+      colorSpace: columns[5],
+      bitsPerComponent: number(columns[7]),
+      encoding: columns[8],
+      object: columns.slice(10, -4).join(" "),
+      ppi: { x: number(columns.at(-4)), y: number(columns.at(-3)) },
+    }));
+}
+
+async function extractImagesTool(inputs, options, ctx) {
+  const { pages = "all" } = options;
+  await requirePoppler("Image extraction");
+
+  const outputs = [];
+  const manifest = [];
+
+  for (const [i, input] of inputs.entries()) {
+    const pdfDoc = await loadPdf(input);
+    const baseName = outputBaseName(input.name);
+    const dir = path.join(ctx.workDir, `${ctx.nextId()}-images`);
+    await fs.mkdir(dir);
+
+    // An image drawn on several pages (a logo) is extracted once
+    const byObject = new Map();
+    const perPage = new Map();
+    const found = manifest.length;
+
+    for (const [r, [first, last]] of selectedPageRuns(pdfDoc, pages).entries()) {
+      const range = ["-f", String(first), "-l", String(last)];
+      const { stdout } = await runProcess("pdfimages", ["-list", ...range, input.path], { signal: ctx.signal });
+      // Soft masks and stencil masks are listed too; they are not pictures
+      const images = parseImageList(stdout.toString()).filter((image) => image.type === "image");
+      if (images.length === 0) continue;
+
+      // -p puts the page number in each name: run0-004-012.png
+      const root = `run${r}`;
+      await runProcess("pdfimages", ["-png", "-j", "-p", ...range, input.path, path.join(dir, root)], { signal: ctx.signal });
+      const files = new Map();
+      for (const file of await fs.readdir(dir)) {
+        const match = /^run(\d+)-\d+-(\d+)\.\w+$/.exec(file);
+        if (match && Number(match[1]) === r) files.set(Number(match[2]), file);
+      }
+
+      for (const image of images) {
+        const file = files.get(image.num);
+        if (!file) continue;
+
+        // Inline images have no object of their own
+        const key = /^[1-9]\d* \d+$/.test(image.object) ? image.object : null;
+        const shared = key && byObject.get(key);
+        if (shared) {
+          if (!shared.pages.includes(image.page)) shared.pages.push(image.page);
+          continue;
+        }
+
+        const ext = path.extname(file).slice(1);
+        const count = (perPage.get(image.page) || 0) + 1;
+        perPage.set(image.page, count);
+        const name = `${baseName}-page-${image.page}-${count}.${ext}`;
+        outputs.push({ path: path.join(dir, file), name, contentType: CONTENT_TYPES[ext] || "application/octet-stream" });
+
+        const entry = {
+          file: name,
+          source: input.name,
+          page: image.page,
+          pages: [image.page],
+          width: image.width,
+          height: image.height,
+          colorSpace: image.colorSpace,
+          bitsPerComponent: image.bitsPerComponent,
+          encoding: image.encoding,
+          ppi: image.ppi,
+        };
+        manifest.push(entry);
+        if (key) byObject.set(key, entry);
+      }
+    }
+
+    if (manifest.length === found) {
+      throw httpError(422, "No images found", `${input.name} has no embedded images on the selected pages. Text and vector drawings are not extracted; use /api/pdf-to-images to render whole pages.`, {
+        code: "NO_IMAGES",
+        file: input.name,
+      });
+    }
+    ctx.onProgress((i + 1) / inputs.length);
+  }
+
+  const manifestPath = workPath(ctx, "manifest.json");
+  await fs.writeFile(manifestPath, JSON.stringify({ images: manifest }, null, 2));
+  outputs.unshift({ path: manifestPath, name: "manifest.json", contentType: CONTENT_TYPES.json });
+
+  return { outputs, archiveName: `${outputBaseName(inputs[0].name)}-images.zip` };
+}
+
+// ============================================
+// TOOL 21: FORMS (AcroForm)
+// /api/forms/fields lists the fields; /api/forms/fill sets `values`
+// (a JSON object keyed by field name) and can flatten the result.
+// With `records` (a JSON array of such objects, or CSV with field
+// names in the header row) one copy of the template is filled per
+// record, on top of `values`, and the copies come back as a ZIP or,
+// with merge=true, as one flattened PDF: unflattened copies would
+// share field names and so show the same values.
+// ============================================
+const MAX_FORM_RECORDS = 500;
+// Forms run as a light tool next to other work, so a batch is bounded
+// by the pages it fills (records x template pages), not just records
+const MAX_FORM_BATCH_PAGES = 500;
+
+// pdf-lib drops XFA on getForm() with a console warning; XFA-only
+// features are lost either way, so drop it here and report it
+function loadForm(pdfDoc) {
+  const acroForm = pdfDoc.catalog.lookup(PDFName.of("AcroForm"));
+  const hasXfa = acroForm instanceof PDFDict && acroForm.has(PDFName.of("XFA"));
+  if (hasXfa) acroForm.delete(PDFName.of("XFA"));
+  return { form: pdfDoc.getForm(), hasXfa };
+}
+
+function fieldType(field) {
+  if (field instanceof PDFTextField) return "text";
+  if (field instanceof PDFCheckBox) return "checkbox";
+  if (field instanceof PDFRadioGroup) return "radio";
+  if (field instanceof PDFDropdown) return "dropdown";
+  if (field instanceof PDFOptionList) return "list";
+  if (field instanceof PDFButton) return "button";
+  if (field instanceof PDFSignature) return "signature";
+  return "unknown";
+}
+
+// Widget annotation dictionaries mapped to their 1-based page numbers
+function widgetPageNumbers(pdfDoc) {
+  const pageNumbers = new Map();
+  pdfDoc.getPages().forEach((page, index) => {
+    const annots = page.node.Annots();
+    if (!annots) return;
+    for (let i = 0; i < annots.size(); i++) {
+      const annot = annots.lookup(i);
+      if (annot instanceof PDFDict) pageNumbers.set(annot, index + 1);
+    }
+  });
+  return pageNumbers;
+}
+
+function describeField(field, pageNumbers) {
+  const type = fieldType(field);
+  const pages = [...new Set(field.acroField.getWidgets().map((widget) => pageNumbers.get(widget.dict)).filter(Boolean))];
+  const description = {
+    name: field.getName(),
+    type,
+    value: null,
+    required: field.isRequired(),
+    readOnly: field.isReadOnly(),
+    pages: pages.sort((a, b) => a - b),
+  };
+
+  switch (type) {
+    case "text":
+      description.value = field.getText() ?? "";
+      description.multiline = field.isMultiline();
+      description.maxLength = field.getMaxLength() ?? null;
+      break;
+    case "checkbox":
+      description.value = field.isChecked();
+      break;
+    case "radio":
+      description.options = field.getOptions();
+      description.value = field.getSelected() ?? null;
+      break;
+    case "dropdown":
+    case "list": {
+      const selected = field.getSelected();
+      description.options = field.getOptions();
+      description.multiple = field.isMultiselect();
+      description.value = description.multiple ? selected : selected[0] ?? null;
+      if (type === "dropdown") description.editable = field.isEditable();
+      break;
+    }
+  }
+  return description;
+}
+
+async function describeFormFields(input) {
+  const pdfDoc = await loadPdf(input);
+  const { form, hasXfa } = loadForm(pdfDoc);
+  const pageNumbers = widgetPageNumbers(pdfDoc);
+  const fields = form.getFields().map((field) => describeField(field, pageNumbers));
+  return { file: input.name, fieldCount: fields.length, hasXfa, fields };
+}
+
+// `label` says where a bad value came from: "values" or "Record 3"
+function setFieldValue(field, value, label) {
+  const name = field.getName();
+  const invalid = (message) => badRequest(`${label}: field "${name}" ${message}`);
+  const empty = value === null || value === undefined || value === "";
+
+  if (field instanceof PDFTextField) {
+    const text = empty ? "" : String(value);
+    const maxLength = field.getMaxLength();
+    if (maxLength !== undefined && text.length > maxLength) {
+      throw invalid(`allows at most ${maxLength} characters`);
+    }
+    field.setText(text || undefined);
+  } else if (field instanceof PDFCheckBox) {
+    if (parseBoolean(value)) field.check();
+    else field.uncheck();
+  } else if (field instanceof PDFRadioGroup) {
+    if (empty) return field.clear();
+    const options = field.getOptions();
+    if (!options.includes(String(value))) {
+      throw invalid(`must be one of: ${options.join(", ")}`);
+    }
+    field.select(String(value));
+  } else if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
+    const selected = empty ? [] : [].concat(value).map(String);
+    if (selected.length === 0) return field.clear();
+    if (selected.length > 1 && !field.isMultiselect()) {
+      throw invalid("accepts a single choice");
+    }
+    const options = field.getOptions();
+    const editable = field instanceof PDFDropdown && field.isEditable();
+    if (!editable && selected.some((option) => !options.includes(option))) {
+      throw invalid(`must be one of: ${options.join(", ")}`);
+    }
+    field.select(selected.length === 1 ? selected[0] : selected);
+  } else {
+    throw invalid(`is a ${fieldType(field)} and cannot be filled`);
   }
 }
 
-async function safeRmdir(dirPath) {
-  if (!dirPath) return;
-  try {
-    await fs.rm(dirPath, { recursive: true, force: true });
-  } catch (_) {
-    // ignore
+function fillForm(form, values, label) {
+  for (const [name, value] of Object.entries(values)) {
+    const field = form.getFieldMaybe(name);
+    if (!field) {
+      throw badRequest(`${label}: the form has no field named "${name}"`);
+    }
+    setFieldValue(field, value, label);
   }
 }
 
-// Cleanup multiple files at once
-async function cleanupFiles(...filePaths) {
-  for (const filePath of filePaths) {
-    await safeUnlink(filePath);
+function parseValueMap(value, label) {
+  if (value === undefined || value === null || value === "") return {};
+  const values = parseJsonField(value, label);
+  if (!values || typeof values !== "object" || Array.isArray(values)) {
+    throw badRequest(`${label} must be a JSON object of field names and values`);
   }
+  return values;
 }
 
-// ============================================
-// HELPER: Check if Ghostscript is available
-// ============================================
-async function isGhostscriptAvailable() {
-  try {
-    await execPromise("gs --version");
-    return true;
-  } catch (error) {
-    return false;
+// RFC 4180: quoted cells may hold the delimiter, line breaks and "" for
+// a quote. Spreadsheets in many locales save with ";" instead of ",".
+function parseCsv(text) {
+  const headerLine = text.slice(0, text.search(/\r?\n|$/));
+  const delimiter = headerLine.includes(";") && !headerLine.includes(",") ? ";" : ",";
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char !== '"') {
+        cell += char;
+      } else if (text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      rows.push([...row, cell]);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
   }
+  if (quoted) {
+    throw badRequest("records: a quoted CSV cell is never closed");
+  }
+  rows.push([...row, cell]);
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
 }
 
-// ============================================
-// HELPER: Check if LibreOffice is available
-// ============================================
-async function checkLibreOffice() {
-  try {
-    await execPromise("libreoffice --version");
-    return true;
-  } catch (error) {
-    return false;
+// Empty CSV cells leave the template's value alone
+function csvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const names = header.map((name) => name.trim());
+  if (names.some((name) => !name) || new Set(names).size !== names.length) {
+    throw badRequest("records: every CSV column needs a distinct field name in the header row");
   }
+  return rows.map((cells) => Object.fromEntries(
+    names.map((name, i) => [name, cells[i] ?? ""]).filter(([, value]) => value !== ""),
+  ));
 }
 
-// ============================================
-// HELPER: Compress with Ghostscript
-// ============================================
-async function compressWithGhostscript(
-  inputPath,
-  outputPath,
-  targetSizeKB,
-  compressionLevel = "balanced",
-) {
-  const hasGs = await isGhostscriptAvailable();
-
-  if (!hasGs) {
-    return compressWithPdfLib(inputPath, outputPath);
+// A JSON array (from the field, the pipeline, or an uploaded file) or CSV
+async function loadRecords(options, assets) {
+  let raw = options.records;
+  if (assets.records) {
+    raw = await fs.readFile(assets.records.path, "utf8");
   }
+  if (raw === undefined || raw === null || raw === "") return null;
 
-  let quality;
-  if (compressionLevel === "gentle") {
-    quality = "/printer";
-  } else if (compressionLevel === "strong") {
-    quality = "/screen";
+  let records;
+  if (Array.isArray(raw)) {
+    records = raw;
   } else {
-    if (targetSizeKB <= 200) {
-      quality = "/screen";
-    } else if (targetSizeKB <= 500) {
-      quality = "/ebook";
-    } else {
-      quality = "/printer";
-    }
+    const text = String(raw).replace(/^\uFEFF/, "");
+    records = text.trimStart().startsWith("[") ? parseJsonField(text, "records") : csvRecords(text);
   }
 
-  const command = `gs -sDEVICE=pdfwrite -dCompatibilityLevel=1.4 -dPDFSETTINGS=${quality} -dNOPAUSE -dQUIET -dBATCH -dDetectDuplicateImages=true -dCompressFonts=true -sOutputFile="${outputPath}" "${inputPath}"`;
+  if (!Array.isArray(records) || records.length === 0) {
+    throw badRequest("records must be a non-empty JSON array or CSV with a header row and at least one record");
+  }
+  if (records.length > MAX_FORM_RECORDS) {
+    throw badRequest(`At most ${MAX_FORM_RECORDS} records can be filled in one request`);
+  }
+  records.forEach((record, i) => parseValueMap(record, `Record ${i + 1}`));
+  return records;
+}
 
+// Appearances are drawn with Helvetica, which covers WinAnsi only
+function finishForm(form, flatten, label) {
   try {
-    await execPromise(command, { maxBuffer: 50 * 1024 * 1024 }); // 50MB buffer
-    return true;
+    if (flatten) form.flatten();
+    else form.updateFieldAppearances();
   } catch (error) {
-    console.error("❌ Ghostscript failed:", error.message);
-    return compressWithPdfLib(inputPath, outputPath);
+    if (/cannot encode/i.test(error.message)) {
+      throw badRequest(`${label}: ${error.message}. Form values can only use Western European characters.`);
+    }
+    throw error;
   }
 }
 
-// ============================================
-// HELPER: Fallback compression with pdf-lib
-// ============================================
-async function compressWithPdfLib(inputPath, outputPath) {
-  const pdfBytes = await fs.readFile(inputPath);
-  const pdfDoc = await PDFDocument.load(pdfBytes);
-
-  pdfDoc.setTitle("");
-  pdfDoc.setAuthor("");
-  pdfDoc.setSubject("");
-  pdfDoc.setKeywords([]);
-  pdfDoc.setProducer("");
-  pdfDoc.setCreator("");
+// Unique, filesystem-safe file names for batch outputs
+function recordFileName(record, nameField, index, baseName, used) {
+  const wanted = nameField && record[nameField] !== undefined ? sanitize(String(record[nameField])) : "";
+  const stem = wanted || `${baseName}-${index + 1}`;
+  let name = `${stem}.pdf`;
+  for (let n = 2; used.has(name); n++) name = `${stem}-${n}.pdf`;
+  used.add(name);
+  return name;
+}
 
-  const compressedBytes = await pdfDoc.save({
-    useObjectStreams: false,
-    addDefaultPage: false,
-  });
+async function formsTool(inputs, options, ctx) {
+  const values = parseValueMap(options.values, "values");
+  const flatten = parseBoolean(options.flatten);
+  const merge = parseBoolean(options.merge);
+  const nameField = options.nameField ? String(options.nameField) : null;
+  const records = await loadRecords(options, ctx.assets);
 
-  await fs.writeFile(outputPath, compressedBytes);
-  return true;
-}
+  if (!records && merge) {
+    throw badRequest("merge needs records to fill");
+  }
 
-// ============================================
-// TOOL 1 & 2: COMPRESS PDF
-// ============================================
-app.post("/api/compress", upload.single("file"), async (req, res) => {
-  let inputPath, outputPath;
+  const outputs = [];
+  let batchPages = 0;
+  for (const input of inputs) {
+    const template = await loadPdf(input);
+    const { form } = loadForm(template);
+    if (form.getFields().length === 0) {
+      throw httpError(422, "No form fields", `${input.name} has no fillable form fields.`, { code: "NO_FORM", file: input.name });
+    }
 
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: "No file uploaded" });
+    if (!records) {
+      fillForm(form, values, "values");
+      finishForm(form, flatten, "values");
+      outputs.push(await savePdf(ctx, template, input.name, { many: inputs.length > 1 }));
+      continue;
     }
 
-    const { targetSize, compressionLevel = "balanced" } = req.body;
-    inputPath = req.file.path;
-    outputPath = path.join(outputDir, `compressed-${Date.now()}.pdf`);
-    const targetSizeKB = parseInt(targetSize);
+    batchPages += records.length * template.getPageCount();
+    if (batchPages > MAX_FORM_BATCH_PAGES) {
+      throw badRequest(`A batch can fill at most ${MAX_FORM_BATCH_PAGES} pages (records × template pages); this one needs ${batchPages}`);
+    }
 
-    await compressWithGhostscript(
-      inputPath,
-      outputPath,
-      targetSizeKB,
-      compressionLevel,
-    );
+    // Each record starts from a fresh copy of the template
+    const bytes = await fs.readFile(input.path);
+    const baseName = outputBaseName(input.name);
+    const merged = merge ? await PDFDocument.create() : null;
+    const used = new Set();
 
-    const compressedBytes = await fs.readFile(outputPath);
+    for (const [i, record] of records.entries()) {
+      const label = `Record ${i + 1}`;
+      const pdfDoc = await PDFDocument.load(bytes);
+      const { form } = loadForm(pdfDoc);
+      const recordValues = { ...values, ...record };
+      // The file-name column is only filled in when it is also a field
+      if (nameField && !form.getFieldMaybe(nameField)) delete recordValues[nameField];
+      fillForm(form, recordValues, label);
+      finishForm(form, flatten || merge, label);
 
-    res.set({
-      "Content-Type": "application/pdf",
-      "Content-Disposition": `attachment; filename="compressed-${req.file.originalname}"`,
-      "Content-Length": compressedBytes.length,
-    });
+      if (merged) {
+        const pages = await merged.copyPages(pdfDoc, pdfDoc.getPageIndices());
+        pages.forEach((page) => merged.addPage(page));
+      } else {
+        outputs.push(await savePdf(ctx, pdfDoc, recordFileName(record, nameField, i, baseName, used), { many: true }));
+      }
+      ctx.onProgress((i + 1) / records.length);
+    }
 
-    res.send(Buffer.from(compressedBytes));
-  } catch (error) {
-    console.error("❌ Compression error:", error.message);
-    res.status(500).json({
-      error: "Compression failed",
-      details: error.message,
-    });
-  } finally {
-    await cleanupFiles(inputPath, outputPath);
+    if (merged) {
+      outputs.push(await savePdf(ctx, merged, `${baseName}-filled.pdf`, { many: inputs.length > 1 }));
+    }
   }
-});
+
+  return { outputs, archiveName: `${outputBaseName(inputs[0].name)}-filled.zip` };
+}
 
 // ============================================
-// TOOL 3: MERGE PDFs
+// TOOL REGISTRY & ROUTES
+// `zip`: "always" streams a ZIP even for one output, "multiple" only
+// when there is more than one. `noInput` is the 400 for missing uploads.
+// `inputRule(options)`, when present, replaces the static upload rule.
+// `reusesPdf` marks tools that open their input with loadPdf, which then
+// gets the document parsed during validation instead of parsing again.
 // ============================================
-app.post("/api/merge", upload.array("files", 10), async (req, res) => {
-  const inputPaths = [];
-  let outputPath;
+const TOOLS = {
+  compress: { run: compressTool, accepts: "pdf", label: "Compression", failure: "Compression failed" },
+  merge: { run: mergeTool, accepts: "pdf", reusesPdf: true, label: "Merge", failure: "Merge failed" },
+  split: { run: splitTool, accepts: "pdf", reusesPdf: true, label: "Split", failure: "Split failed", zip: "always" },
+  "pdf-to-images": { run: pdfToImagesTool, accepts: "pdf", reusesPdf: true, label: "PDF to images", failure: "Conversion failed", zip: "multiple" },
+  "images-to-pdf": { run: imagesToPdfTool, accepts: "image", label: "Images to PDF", failure: "Conversion failed", noInput: "No images uploaded" },
+  convert: {
+    run: convertTool,
+    inputRule: (options) => ({ forFile: (file) => convertFileRule(options, file) }),
+    label: "Conversion",
+    failure: "Conversion failed",
+  },
+  "pdf-to-word": { run: pdfToWordTool, accepts: "pdf", label: "PDF to Word", failure: "Conversion failed" },
+  "word-to-pdf": { run: wordToPdfTool, accepts: "document", formats: ["doc", "docx", "odt", "rtf"], label: "Word to PDF", failure: "Conversion failed" },
+  protect: { run: protectTool, accepts: "pdf", label: "Protect", failure: "Protection failed" },
+  unlock: { run: unlockTool, accepts: "pdf", allowEncrypted: true, label: "Unlock", failure: "Unlock failed" },
+  organize: { run: organizeTool, accepts: "pdf", reusesPdf: true, label: "Organize", failure: "Organize failed" },
+  watermark: { run: watermarkTool, accepts: "pdf", reusesPdf: true, label: "Watermark", failure: "Watermark failed" },
+  "page-numbers": { run: pageNumbersTool, accepts: "pdf", reusesPdf: true, label: "Page numbers", failure: "Page numbering failed" },
+  metadata: { run: metadataTool, accepts: "pdf", reusesPdf: true, label: "Metadata", failure: "Metadata update failed" },
+  ocr: { run: ocrTool, accepts: "pdf", reusesPdf: true, label: "OCR", failure: "OCR failed" },
+  "extract-text": { run: extractTextTool, accepts: "pdf", reusesPdf: true, label: "Text extraction", failure: "Extraction failed" },
+  "extract-images": { run: extractImagesTool, accepts: "pdf", reusesPdf: true, label: "Image extraction", failure: "Extraction failed", zip: "always" },
+  forms: { run: formsTool, accepts: "pdf", reusesPdf: true, label: "Form fill", failure: "Form fill failed", zip: "multiple" },
+};
 
-  try {
-    if (!req.files || req.files.length < 2) {
-      return res.status(400).json({
-        error: "Need at least 2 files",
-        message: "Please upload at least 2 PDF files to merge.",
-      });
-    }
+// Upload fields that carry extra material (a watermark logo, records
+// for a form batch) rather than documents to process, with the rule
+// each must pass
+const ASSET_FIELDS = {
+  image: { accepts: "image" },
+  records: { accepts: "text" },
+};
 
-    inputPaths.push(...req.files.map((f) => f.path));
-    outputPath = path.join(outputDir, `merged-${Date.now()}.pdf`);
+function isAssetField(fieldname) {
+  return Object.hasOwn(ASSET_FIELDS, fieldname);
+}
+
+function toInput(file) {
+  const input = {
+    path: file.path,
+    name: path.basename(file.originalname),
+    contentType: file.mimetype,
+  };
+  // Moved rather than shared, so loadPdf can let go of it
+  if (file.pdfDoc) {
+    input.pdfDoc = file.pdfDoc;
+    file.pdfDoc = null;
+  }
+  return input;
+}
 
-    const mergedDoc = await PDFDocument.create();
+function uploadedInputs(req) {
+  return uploadedFileList(req)
+    .filter((file) => !isAssetField(file.fieldname))
+    .map(toInput);
+}
 
-    for (const filePath of inputPaths) {
-      const pdfBytes = await fs.readFile(filePath);
-      const pdf = await PDFDocument.load(pdfBytes);
-      const copiedPages = await mergedDoc.copyPages(pdf, pdf.getPageIndices());
-      copiedPages.forEach((page) => mergedDoc.addPage(page));
+function uploadedAssets(req) {
+  const assets = {};
+  for (const file of uploadedFileList(req)) {
+    if (isAssetField(file.fieldname)) {
+      assets[file.fieldname] = toInput(file);
     }
+  }
+  return assets;
+}
 
-    const mergedBytes = await mergedDoc.save();
-    await fs.writeFile(outputPath, mergedBytes);
+async function createToolContext(res, assets = {}) {
+  const workDir = path.join(outputDir, `work-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  await fs.mkdir(workDir, { recursive: true });
+  let counter = 0;
 
-    res.set({
-      "Content-Type": "application/pdf",
-      "Content-Disposition": 'attachment; filename="merged.pdf"',
-      "Content-Length": mergedBytes.length,
-    });
+  // Aborted when the client goes away, the request times out or a job
+  // is destroyed; external processes are killed through the signal
+  const { signal } = responseAbortController(res);
 
-    res.send(Buffer.from(mergedBytes));
-  } catch (error) {
-    console.error("❌ Merge error:", error.message);
-    res.status(500).json({
-      error: "Merge failed",
-      details: error.message,
-    });
-  } finally {
-    await cleanupFiles(...inputPaths, outputPath);
+  return {
+    workDir,
+    assets,
+    signal,
+    deadline: res.deadline || Infinity,
+    nextId: () => ++counter,
+    // Tools report progress between units of work, so that is also
+    // where they stop once the request is cancelled
+    onProgress: (fraction) => {
+      signal.throwIfAborted();
+      reportProgress(res, fraction);
+    },
+  };
+}
+
+// "bytes=0-1023", "bytes=1024-" or "bytes=-500". Multi-range requests
+// aren't worth supporting here and get the whole body instead.
+function parseByteRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || "").trim());
+  if (!match || (match[1] === "" && match[2] === "")) return null;
+
+  let start;
+  let end;
+  if (match[1] === "") {
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
   }
-});
+  if (start > end || start >= size) return { unsatisfiable: true };
+  return { start, end };
+}
 
-// ============================================
-// TOOL 4: SPLIT PDF
-// ============================================
-app.post("/api/split", upload.single("file"), async (req, res) => {
-  let inputPath;
-  const outputPaths = [];
+// Body from a buffer or streamed from disk, with Content-Length and,
+// for GET requests (job results), Range support
+async function sendBody(res, source, headers) {
+  const size = source.bytes ? source.bytes.length : (await fs.stat(source.path)).size;
+  const range = res.req && res.req.method === "GET" ? parseByteRange(res.req.headers.range, size) : null;
 
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: "No file uploaded" });
-    }
+  res.set({ ...headers, "Accept-Ranges": "bytes" });
+  if (range && range.unsatisfiable) {
+    res.status(416).set({ "Content-Range": `bytes */${size}`, "Content-Length": 0 });
+    return res.end();
+  }
 
-    inputPath = req.file.path;
-    const pdfBytes = await fs.readFile(inputPath);
-    const pdfDoc = await PDFDocument.load(pdfBytes);
-    const totalPages = pdfDoc.getPageCount();
+  const { start, end } = range || { start: 0, end: size - 1 };
+  res.set("Content-Length", Math.max(0, end - start + 1));
+  if (range) {
+    res.status(206).set("Content-Range", `bytes ${start}-${end}/${size}`);
+  }
 
-    for (let i = 0; i < totalPages; i++) {
-      const newDoc = await PDFDocument.create();
-      const [copiedPage] = await newDoc.copyPages(pdfDoc, [i]);
-      newDoc.addPage(copiedPage);
-      const bytes = await newDoc.save();
-      const outputPath = path.join(outputDir, `page-${i + 1}-${Date.now()}.pdf`);
-      await fs.writeFile(outputPath, bytes);
-      outputPaths.push(outputPath);
-    }
-
-    // Create a ZIP of all pages (simplified response for now)
-    // For free tier, just send info about successful split
-    res.json({
-      success: true,
-      message: `PDF split into ${totalPages} pages`,
-      pages: totalPages,
-      note: "Download feature requires upgrading your tier or implementing ZIP streaming",
-    });
-  } catch (error) {
-    console.error("❌ Split error:", error.message);
-    res.status(500).json({
-      error: "Split failed",
-      details: error.message,
-    });
-  } finally {
-    await cleanupFiles(inputPath, ...outputPaths);
+  if (source.bytes) {
+    return res.end(source.bytes.subarray(start, end + 1));
   }
-});
+  await streamPipeline(fsSync.createReadStream(source.path, size > 0 ? { start, end } : {}), res);
+}
 
-// ============================================
-// TOOL 5 & 6: PDF TO IMAGES
-// ============================================
-app.post("/api/pdf-to-images", upload.single("file"), async (req, res) => {
-  let inputPath;
-  let tempDir;
+async function sendOutputFile(res, output, headers = {}) {
+  // Known for PDFs built with pdf-lib (see savePdf)
+  if (output.pageCount) {
+    headers = { ...headers, "X-Page-Count": String(output.pageCount) };
+  }
+  await sendBody(res, output, {
+    ...headers,
+    "Content-Type": output.contentType,
+    "Content-Disposition": `attachment; filename="${output.name}"`,
+  });
+}
 
+// Built on the fly, one entry at a time. The response's abort signal
+// (the tool's ctx.signal) fires when the client disconnects or a job
+// response is destroyed.
+async function sendOutputsAsZip(res, outputs, archiveName, headers = {}) {
+  const { signal } = responseAbortController(res);
+  res.set(headers);
+  const archive = createZipStream(res, archiveName);
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: "No file uploaded" });
+    for (const output of outputs) {
+      const source = output.bytes || fsSync.createReadStream(output.path);
+      await appendToZip(archive, source, output.name, signal);
     }
+    await finalizeZip(archive, signal);
+  } catch (error) {
+    archive.abort();
+    archive.unpipe(res);
+    archive.destroy();
+    throw error;
+  }
+}
 
-    inputPath = req.file.path;
-    tempDir = path.join(outputDir, `images-${Date.now()}`);
-    await fs.mkdir(tempDir, { recursive: true });
+async function sendToolResult(res, result, zip, archiveName) {
+  const { outputs, headers } = result;
+  if (zip === "always" || outputs.length > 1) {
+    return sendOutputsAsZip(res, outputs, result.archiveName || archiveName, headers);
+  }
+  return sendOutputFile(res, outputs[0], headers);
+}
 
-    const options = {
-      density: 150, // Lower density to save memory
-      saveFilename: "page",
-      savePath: tempDir,
-      format: "png",
-      width: 1200, // Reasonable width
-      height: 1600,
-    };
+// `secrets` are redacted from logged and returned messages
+function sendToolError(res, error, tool, secrets) {
+  // Nobody left to answer; cleanup happens in the caller
+  if (res.writableEnded || res.destroyed) {
+    logger.info("Tool stopped", { tool: tool.label, reason: error.message });
+    return;
+  }
 
-    const convert = fromPath(inputPath, options);
-    const pageCount = await convert.bulk(-1, { responseType: "image" });
+  const level = error.status && error.status < 500 ? "warn" : "error";
+  logger[level]("Tool failed", {
+    tool: tool.label,
+    status: error.status || 500,
+    error: redact(error.message, ...secrets),
+  });
 
-    res.json({
-      success: true,
-      message: `Converted ${pageCount.length} pages`,
-      pages: pageCount.length,
-      note: "Images created. Download feature requires additional implementation.",
-    });
-  } catch (error) {
-    console.error("❌ PDF to images error:", error.message);
-    res.status(500).json({
-      error: "Conversion failed",
-      details: error.message,
+  if (res.headersSent) {
+    // Mid-stream failure: a truncated file is worse than a dropped connection
+    res.destroy(error);
+    return;
+  }
+
+  if (error.status) {
+    return res.status(error.status).json({
+      error: error.title,
+      message: error.message,
+      ...error.extra,
     });
-  } finally {
-    await cleanupFiles(inputPath);
-    await safeRmdir(tempDir);
   }
-});
 
-// ============================================
-// TOOL 7: IMAGES TO PDF
-// ============================================
-app.post("/api/images-to-pdf", upload.array("files", 20), async (req, res) => {
-  const inputPaths = [];
-  let outputPath;
+  res.status(500).json({
+    error: tool.failure,
+    details: redact(error.message, ...secrets),
+  });
+}
+
+// Input and output sizes for the per-tool byte histograms
+async function recordToolBytes(tool, inputs, outputs) {
+  const sizeOf = async (file) => (file.bytes ? file.bytes.length : (await fs.stat(file.path)).size);
+  let inputBytes = 0;
+  let outputBytes = 0;
+  for (const input of inputs) inputBytes += await sizeOf(input);
+  for (const output of outputs) outputBytes += await sizeOf(output);
+  observeMetric("input_bytes", { tool }, inputBytes);
+  observeMetric("output_bytes", { tool }, outputBytes);
+}
+
+async function handleToolRequest(name, req, res) {
+  const tool = TOOLS[name];
+  const inputs = uploadedInputs(req);
+  const assets = uploadedAssets(req);
+  let ctx;
 
   try {
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ error: "No images uploaded" });
+    if (inputs.length === 0) {
+      return res.status(400).json({ error: tool.noInput || "No file uploaded" });
     }
 
-    inputPaths.push(...req.files.map((f) => f.path));
-    outputPath = path.join(outputDir, `images-to-pdf-${Date.now()}.pdf`);
-
-    const pdfDoc = await PDFDocument.create();
+    ctx = await createToolContext(res, assets);
+    const result = await tool.run(inputs, req.body, ctx);
+    await recordToolBytes(name, inputs, result.outputs);
+    await sendToolResult(res, result, tool.zip, `${name}.zip`);
+  } catch (error) {
+    sendToolError(res, error, tool, secretValues(req.body));
+  } finally {
+    await cleanupFiles(...[...inputs, ...Object.values(assets)].map((input) => input.path));
+    if (ctx) await safeRmdir(ctx.workDir);
+  }
+}
 
-    for (const imagePath of inputPaths) {
-      const imageBytes = await fs.readFile(imagePath);
-      let image;
+app.post("/api/compress", upload.single("file"), validateUploads(TOOLS["compress"]), jobCapable("compress", (req, res) => handleToolRequest("compress", req, res)));
+app.post("/api/merge", upload.array("files", 10), validateUploads(TOOLS["merge"]), jobCapable("merge", (req, res) => handleToolRequest("merge", req, res)));
+app.post("/api/split", upload.single("file"), validateUploads(TOOLS["split"]), jobCapable("split", (req, res) => handleToolRequest("split", req, res)));
+app.post("/api/pdf-to-images", upload.single("file"), validateUploads(TOOLS["pdf-to-images"]), jobCapable("pdf-to-images", (req, res) => handleToolRequest("pdf-to-images", req, res)));
+app.post("/api/images-to-pdf", upload.array("files", 20), validateUploads(TOOLS["images-to-pdf"]), jobCapable("images-to-pdf", (req, res) => handleToolRequest("images-to-pdf", req, res)));
+app.post("/api/convert", upload.single("file"), validateUploads((req) => TOOLS["convert"].inputRule(req.body)), jobCapable("convert", (req, res) => handleToolRequest("convert", req, res)));
+app.post("/api/pdf-to-word", upload.single("file"), validateUploads(TOOLS["pdf-to-word"]), jobCapable("pdf-to-word", (req, res) => handleToolRequest("pdf-to-word", req, res)));
+app.post("/api/word-to-pdf", upload.single("file"), validateUploads(TOOLS["word-to-pdf"]), jobCapable("word-to-pdf", (req, res) => handleToolRequest("word-to-pdf", req, res)));
+app.post("/api/protect", upload.single("file"), validateUploads(TOOLS["protect"]), jobCapable("protect", (req, res) => handleToolRequest("protect", req, res)));
+app.post("/api/unlock", upload.single("file"), validateUploads(TOOLS["unlock"]), jobCapable("unlock", (req, res) => handleToolRequest("unlock", req, res)));
+app.post("/api/organize", upload.single("file"), validateUploads(TOOLS["organize"]), jobCapable("organize", (req, res) => handleToolRequest("organize", req, res)));
+app.post("/api/watermark", upload.fields([{ name: "file", maxCount: 1 }, { name: "image", maxCount: 1 }]), validateUploads(TOOLS["watermark"]), jobCapable("watermark", (req, res) => handleToolRequest("watermark", req, res)));
+app.post("/api/page-numbers", upload.single("file"), validateUploads(TOOLS["page-numbers"]), jobCapable("page-numbers", (req, res) => handleToolRequest("page-numbers", req, res)));
+app.post("/api/ocr", upload.single("file"), validateUploads(TOOLS["ocr"]), jobCapable("ocr", (req, res) => handleToolRequest("ocr", req, res)));
+app.post("/api/extract/text", upload.single("file"), validateUploads(TOOLS["extract-text"]), jobCapable("extract-text", (req, res) => handleToolRequest("extract-text", req, res)));
+app.post("/api/extract/images", upload.single("file"), validateUploads(TOOLS["extract-images"]), jobCapable("extract-images", (req, res) => handleToolRequest("extract-images", req, res)));
+app.post("/api/forms/fill", upload.fields([{ name: "file", maxCount: 1 }, { name: "records", maxCount: 1 }]), validateUploads(TOOLS["forms"]), jobCapable("forms", (req, res) => handleToolRequest("forms", req, res)));
+app.post("/api/metadata/write", upload.single("file"), validateUploads(TOOLS["metadata"]), jobCapable("metadata", (req, res) => handleToolRequest("metadata", req, res)));
 
-      if (imagePath.toLowerCase().endsWith(".png")) {
-        image = await pdfDoc.embedPng(imageBytes);
-      } else {
-        image = await pdfDoc.embedJpg(imageBytes);
-      }
+// Read-only and quick, so answered inline rather than as a job
+app.post("/api/metadata/read", upload.single("file"), validateUploads({ accepts: "pdf", allowEncrypted: true, reusesPdf: true }), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: "No file uploaded" });
+  }
 
-      const page = pdfDoc.addPage([image.width, image.height]);
-      page.drawImage(image, { x: 0, y: 0, width: image.width, height: image.height });
+  try {
+    res.json(await describePdf(toInput(req.file)));
+  } catch (error) {
+    logger.error("Metadata read failed", { error: error.message });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.title, message: error.message });
     }
+    res.status(500).json({ error: "Metadata read failed", details: error.message });
+  } finally {
+    await safeUnlink(req.file.path);
+  }
+});
 
-    const pdfBytes = await pdfDoc.save();
-    await fs.writeFile(outputPath, pdfBytes);
-
-    res.set({
-      "Content-Type": "application/pdf",
-      "Content-Disposition": 'attachment; filename="images.pdf"',
-      "Content-Length": pdfBytes.length,
-    });
+app.post("/api/forms/fields", upload.single("file"), validateUploads({ accepts: "pdf", reusesPdf: true }), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: "No file uploaded" });
+  }
 
-    res.send(Buffer.from(pdfBytes));
+  try {
+    res.json(await describeFormFields(toInput(req.file)));
   } catch (error) {
-    console.error("❌ Images to PDF error:", error.message);
-    res.status(500).json({
-      error: "Conversion failed",
-      details: error.message,
-    });
+    const level = error.status && error.status < 500 ? "warn" : "error";
+    logger[level]("Form field listing failed", { error: error.message });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.title, message: error.message, ...error.extra });
+    }
+    res.status(500).json({ error: "Form field listing failed", details: error.message });
   } finally {
-    await cleanupFiles(...inputPaths, outputPath);
+    await safeUnlink(req.file.path);
   }
 });
 
 // ============================================
-// TOOL 9: PDF TO WORD
+// TOOL 13: PIPELINE
+// Runs several tools in sequence on the server, passing files between
+// them on disk. Each step's outputs are the next step's inputs; ops
+// that produce several files (split, pdf-to-images) fan out, so e.g.
+// split → compress compresses every part. Several final outputs come
+// back as a ZIP, a single one as the file itself.
+//   steps=[{"op":"word-to-pdf"},{"op":"merge"},{"op":"compress","targetSize":500}]
 // ============================================
-app.post("/api/pdf-to-word", upload.single("file"), async (req, res) => {
-  let inputPath, docxPath, loProfileDir, tempOutputDir;
+const MAX_PIPELINE_STEPS = 6;
 
+function parsePipelineSteps(raw) {
+  let steps;
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: "No file uploaded" });
-    }
-
-    inputPath = req.file.path;
-    const hasLibreOffice = await checkLibreOffice();
-
-    if (!hasLibreOffice) {
-      return res.status(501).json({
-        error: "Feature not available",
-        message: "PDF to Word requires LibreOffice.",
-        suggestion: "This feature is coming soon!",
-      });
-    }
-
-    loProfileDir = `/tmp/lo-profile-${Date.now()}-${Math.random().toString(36).slice(2)}`;
-    tempOutputDir = `/tmp/lo-output-${Date.now()}-${Math.random().toString(36).slice(2)}`;
-    
-    await execPromise(`mkdir -p "${loProfileDir}" "${tempOutputDir}" && chmod 777 "${loProfileDir}" "${tempOutputDir}"`);
-
-    const command =
-      `libreoffice --headless --nologo --nofirststartwizard --norestore ` +
-      `-env:UserInstallation=file://${loProfileDir} ` +
-      `--convert-to docx ` +
-      `--outdir "${tempOutputDir}" "${inputPath}"`;
-
-    await execPromise(command, { timeout: 90000 });
-    await new Promise((resolve) => setTimeout(resolve, 2000));
+    steps = typeof raw === "string" ? JSON.parse(raw) : raw;
+  } catch (error) {
+    throw badRequest("steps must be valid JSON");
+  }
 
-    const files = await fs.readdir(tempOutputDir);
-    const docxFile = files.find((f) => f.toLowerCase().endsWith(".docx"));
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw badRequest("steps must be a non-empty array");
+  }
+  if (steps.length > MAX_PIPELINE_STEPS) {
+    throw badRequest(`A pipeline can have at most ${MAX_PIPELINE_STEPS} steps`);
+  }
 
-    if (!docxFile) {
-      throw new Error("Conversion completed but output file not found");
+  return steps.map((step, i) => {
+    if (!step || typeof step !== "object" || !TOOLS[step.op]) {
+      throw badRequest(`Step ${i + 1}: unknown op "${step && step.op}". Available: ${Object.keys(TOOLS).join(", ")}`);
     }
+    const { op, ...options } = step;
+    return { op, options };
+  });
+}
 
-    docxPath = path.join(tempOutputDir, docxFile);
-    const docxBytes = await fs.readFile(docxPath);
-
-    res.set({
-      "Content-Type": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-      "Content-Disposition": `attachment; filename="${req.file.originalname.replace(".pdf", "")}.docx"`,
-      "Content-Length": docxBytes.length,
-    });
+// Every step counts against the API key's tool allowlist, not just /api/pipeline
+function pipelineSteps(req) {
+  const steps = parsePipelineSteps(req.body.steps);
+  const allowedTools = req.client && req.client.limits.tools;
+  const forbidden = allowedTools && steps.find((step) => !allowedTools.includes(step.op));
+  if (forbidden) {
+    throw httpError(403, "Tool not allowed", `This API key cannot use ${forbidden.op}.`, { code: "TOOL_NOT_ALLOWED" });
+  }
+  return steps;
+}
 
-    res.send(docxBytes);
+// Inputs must suit the first step; a bad steps field is reported by the handler
+function pipelineInputRule(req) {
+  try {
+    const [first] = parsePipelineSteps(req.body.steps);
+    const tool = TOOLS[first.op];
+    return tool.inputRule ? tool.inputRule(first.options) : tool;
   } catch (error) {
-    console.error("❌ PDF to Word error:", error.message);
-    res.status(500).json({
-      error: "Conversion failed",
-      message: error.message,
-    });
-  } finally {
-    await cleanupFiles(inputPath, docxPath);
-    await safeRmdir(loProfileDir);
-    await safeRmdir(tempOutputDir);
+    return null;
   }
-});
+}
 
-// ============================================
-// TOOL 10: WORD TO PDF
-// ============================================
-app.post("/api/word-to-pdf", upload.single("file"), async (req, res) => {
-  let inputPath, pdfPath, loProfileDir, tempOutputDir;
+app.post("/api/pipeline", upload.fields([{ name: "files", maxCount: 20 }, { name: "image", maxCount: 1 }]), validateUploads(pipelineInputRule), jobCapable("pipeline", pipelineSteps, async (req, res) => {
+  const inputs = uploadedInputs(req);
+  const assets = uploadedAssets(req);
+  const pipelineTool = { label: "Pipeline", failure: "Pipeline failed" };
+  let ctx;
+  let steps = [];
+  let currentStep = null;
 
   try {
-    if (!req.file) {
+    if (inputs.length === 0) {
       return res.status(400).json({ error: "No file uploaded" });
     }
 
-    inputPath = req.file.path;
-    const hasLibreOffice = await checkLibreOffice();
-
-    if (!hasLibreOffice) {
-      return res.status(501).json({
-        error: "Feature not available",
-        message: "Word to PDF requires LibreOffice.",
-      });
-    }
+    steps = pipelineSteps(req);
+    ctx = await createToolContext(res, assets);
 
-    loProfileDir = `/tmp/lo-profile-${Date.now()}-${Math.random().toString(36).slice(2)}`;
-    tempOutputDir = `/tmp/lo-output-${Date.now()}-${Math.random().toString(36).slice(2)}`;
-    
-    await execPromise(`mkdir -p "${loProfileDir}" "${tempOutputDir}" && chmod 777 "${loProfileDir}" "${tempOutputDir}"`);
+    let current = inputs;
+    let result = null;
 
-    const command =
-      `libreoffice --headless --nologo --nofirststartwizard --norestore ` +
-      `-env:UserInstallation=file://${loProfileDir} ` +
-      `--convert-to pdf ` +
-      `--outdir "${tempOutputDir}" "${inputPath}"`;
+    for (const [i, step] of steps.entries()) {
+      ctx.signal.throwIfAborted();
+      currentStep = `step ${i + 1} (${step.op})`;
+      const stepCtx = {
+        ...ctx,
+        pipeline: true,
+        onProgress: (fraction) => ctx.onProgress((i + fraction) / steps.length),
+      };
 
-    await execPromise(command, { timeout: 90000 });
-    await new Promise((resolve) => setTimeout(resolve, 2000));
+      result = await TOOLS[step.op].run(current, step.options, stepCtx);
 
-    const files = await fs.readdir(tempOutputDir);
-    const pdfFile = files.find((f) => f.toLowerCase().endsWith(".pdf"));
+      // Intermediate files are no longer needed once the next step has its
+      // inputs, unless the step passed them through as its outputs
+      if (current !== inputs) {
+        const passedOn = new Set(result.outputs.map((output) => output.path));
+        await cleanupFiles(...current.map((file) => file.path).filter((filePath) => !passedOn.has(filePath)));
+      }
+      current = i < steps.length - 1 ? await ensureOnDisk(ctx, result.outputs) : result.outputs;
+    }
 
-    if (!pdfFile) {
-      throw new Error("Conversion completed but output file not found");
+    await recordToolBytes("pipeline", inputs, result.outputs);
+    res.set("X-Pipeline-Steps", steps.map((step) => step.op).join(","));
+    await sendToolResult(res, result, "multiple", "pipeline.zip");
+  } catch (error) {
+    if (currentStep) {
+      if (error.status) {
+        error.extra = { ...error.extra, step: currentStep };
+      } else {
+        error.message = `${currentStep}: ${error.message}`;
+      }
     }
+    sendToolError(res, error, pipelineTool, [req.body, ...steps.map((step) => step.options)].flatMap(secretValues));
+  } finally {
+    await cleanupFiles(...[...inputs, ...Object.values(assets)].map((input) => input.path));
+    if (ctx) await safeRmdir(ctx.workDir);
+  }
+}));
+
+// ============================================
+// ASYNC JOB STATUS & RESULTS
+// ============================================
+app.get("/api/jobs/:id", (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  res.json(describeJob(job));
+});
 
-    pdfPath = path.join(tempOutputDir, pdfFile);
-    const pdfBytes = await fs.readFile(pdfPath);
+app.get("/api/jobs/:id/result", async (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
 
-    res.set({
-      "Content-Type": "application/pdf",
-      "Content-Disposition": `attachment; filename="${req.file.originalname.replace(/\.(docx?|doc)$/i, "")}.pdf"`,
-      "Content-Length": pdfBytes.length,
+  if (job.status !== "done") {
+    return res.status(409).json({
+      error: "Result not ready",
+      status: job.status,
+      job: describeJob(job),
     });
+  }
+
+  if (Date.now() > job.expiresAt || !fsSync.existsSync(job.resultPath)) {
+    return res.status(410).json({ error: "Result expired" });
+  }
 
-    res.send(pdfBytes);
+  // Range requests let large downloads resume
+  try {
+    await sendBody(res, { path: job.resultPath }, job.result.headers);
   } catch (error) {
-    console.error("❌ Word to PDF error:", error.message);
-    res.status(500).json({
-      error: "Conversion failed",
-      message: error.message,
-    });
-  } finally {
-    await cleanupFiles(inputPath, pdfPath);
-    await safeRmdir(loProfileDir);
-    await safeRmdir(tempOutputDir);
+    logger.error("Could not send job result", { jobId: req.params.id, error: error.message });
+    res.destroy(error);
   }
 });
 
@@ -713,7 +6070,10 @@ app.post("/api/word-to-pdf", upload.single("file"), async (req, res) => {
 // ============================================
 app.get("/api/health", async (req, res) => {
   const hasGs = await isGhostscriptAvailable();
-  const hasLibre = await checkLibreOffice();
+  const libreOffice = await checkLibreOffice();
+  const hasQpdf = await isQpdfAvailable();
+  const hasTesseract = await isTesseractAvailable();
+  const hasPoppler = await isPopplerAvailable();
   const usage = process.memoryUsage();
   
   res.json({
@@ -726,10 +6086,24 @@ app.get("/api/health", async (req, res) => {
     requests: {
       active: activeRequests,
       queued: requestQueue.length,
+      heavy: activeHeavyRequests,
+      cancelled: cancelledRequests,
       maxConcurrent: MAX_CONCURRENT_REQUESTS,
+      maxLightConcurrent: MAX_LIGHT_CONCURRENT,
+    },
+    jobs: {
+      total: jobs.size,
+      queued: [...jobs.values()].filter((job) => job.status === "queued").length,
+      running: [...jobs.values()].filter((job) => job.status === "running").length,
+      shuttingDown,
     },
     ghostscript: hasGs ? "available" : "not available",
-    libreoffice: hasLibre ? "available" : "not available",
+    libreoffice: libreOffice.available ? "available" : "not available",
+    libreofficeWorker: libreOffice.worker,
+    qpdf: hasQpdf ? "available" : "not available",
+    tesseract: hasTesseract ? "available" : "not available",
+    poppler: hasPoppler ? "available" : "not available",
+    ocrLanguages: hasTesseract ? (await listTesseractLanguages()).filter((code) => code !== "osd") : [],
   });
 });
 
@@ -754,45 +6128,62 @@ app.use((err, req, res, next) => {
 // START SERVER
 // ============================================
 const server = app.listen(PORT, async () => {
+  await loadApiKeys();
+  await loadJobs();
+  runNextJob();
+
   const hasGs = await isGhostscriptAvailable();
-  const hasLibre = await checkLibreOffice();
-  console.log(`🚀 getPDFpress API running on port ${PORT}`);
-  console.log(`💾 Memory-optimized mode: Max 1 concurrent request`);
-  console.log(`📝 Test: http://localhost:${PORT}/api/health`);
-  console.log(`🔧 Compression: ${hasGs ? "REAL (Ghostscript)" : "BASIC"}`);
-  console.log(`📄 Word Tools: ${hasLibre ? "AVAILABLE" : "NOT AVAILABLE"}`);
+  const libreOffice = await checkLibreOffice();
+  logger.info("getPDFpress API running", {
+    port: Number(PORT),
+    maxConcurrent: MAX_CONCURRENT_REQUESTS,
+    compression: hasGs ? "ghostscript" : "pdf-lib",
+    wordTools: libreOffice.available,
+    ocr: await isTesseractAvailable(),
+    libreofficeWorker: libreOffice.worker.state,
+  });
 });
 
 // ============================================
 // GRACEFUL SHUTDOWN
 // ============================================
-process.on("SIGTERM", () => {
-  console.log("📴 SIGTERM received, shutting down...");
-  server.close(() => {
-    console.log("✅ Server closed");
-    process.exit(0);
-  });
+// Stop taking work, let in-flight requests and jobs finish, then exit. Anything
+// still running at the deadline is resumed from its record on restart.
+const SHUTDOWN_GRACE_PERIOD = 25000; // Render sends SIGKILL after 30s
+
+function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info("Shutting down", { signal });
+
+  clearTimeout(retryTimer);
+  server.close(() => logger.info("Server closed"));
+
+  const waitForWork = setInterval(async () => {
+    if (activeRequests === 0 && requestQueue.length === 0) {
+      clearInterval(waitForWork);
+      logger.info("In-flight work finished");
+      stopLoWorker("shutdown");
+      if (apiKeySaveTimer) await saveApiKeys();
+      process.exit(0);
+    }
+  }, 500);
 
   setTimeout(() => {
-    console.error("⚠️ Forced shutdown");
+    logger.error("Forced shutdown", { gracePeriodMs: SHUTDOWN_GRACE_PERIOD });
     process.exit(1);
-  }, 10000);
-});
+  }, SHUTDOWN_GRACE_PERIOD);
+}
 
-process.on("SIGINT", () => {
-  console.log("📴 SIGINT received, shutting down...");
-  server.close(() => {
-    console.log("✅ Server closed");
-    process.exit(0);
-  });
-});
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
 
 process.on("uncaughtException", (err) => {
-  console.error("❌ Uncaught Exception:", err);
+  logger.error("Uncaught exception", { error: err });
   process.exit(1);
 });
 
 process.on("unhandledRejection", (reason, promise) => {
-  console.error("❌ Unhandled Rejection:", reason);
+  logger.error("Unhandled rejection", { error: reason });
   process.exit(1);
 });
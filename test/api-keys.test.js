@@ -0,0 +1,61 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const path = require("path");
+const { ROOT, startServer, makePdf, pdfForm } = require("./support/server");
+
+let server;
+let key;
+let pdf;
+
+before(async () => {
+  server = await startServer();
+  key = await server.createKey({ tools: ["pipeline", "merge"] });
+  pdf = await makePdf(2);
+});
+
+after(() => server && server.stop());
+
+function post(pathname, form) {
+  return server.request(pathname, { method: "POST", headers: { "X-API-Key": key }, body: form });
+}
+
+test("a key is refused tools outside its allowlist", async () => {
+  const response = await post("/api/compress", pdfForm({}, [["file", pdf, "a.pdf"]]));
+  assert.equal(response.status, 403);
+  assert.equal((await response.json()).code, "TOOL_NOT_ALLOWED");
+});
+
+test("every pipeline step is checked against the allowlist", async () => {
+  const steps = JSON.stringify([{ op: "merge" }, { op: "compress" }]);
+  const response = await post("/api/pipeline", pdfForm({ steps }, [["files", pdf, "a.pdf"], ["files", pdf, "b.pdf"]]));
+  assert.equal(response.status, 403);
+  const body = await response.json();
+  assert.equal(body.code, "TOOL_NOT_ALLOWED");
+  assert.match(body.message, /compress/);
+});
+
+test("async pipelines are checked before they are queued", async () => {
+  const steps = JSON.stringify([{ op: "merge" }, { op: "compress" }]);
+  const response = await post("/api/pipeline?async=true", pdfForm({ steps }, [["files", pdf, "a.pdf"], ["files", pdf, "b.pdf"]]));
+  assert.equal(response.status, 403);
+  assert.equal((await response.json()).code, "TOOL_NOT_ALLOWED");
+});
+
+test("async pipelines made of allowed steps are queued and run", async () => {
+  const steps = JSON.stringify([{ op: "merge" }]);
+  const response = await post("/api/pipeline?async=true", pdfForm({ steps }, [["files", pdf, "a.pdf"], ["files", pdf, "b.pdf"]]));
+  assert.equal(response.status, 202);
+  const { id } = await response.json();
+
+  let job;
+  for (let i = 0; i < 50; i++) {
+    job = await (await server.request(`/api/jobs/${id}`)).json();
+    if (job.status === "done" || job.status === "failed") break;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  await fs.rm(path.join(ROOT, "output", `job-${id}.result`), { force: true });
+
+  assert.equal(job.status, "done");
+  assert.equal(job.result.pageCount, 4);
+});
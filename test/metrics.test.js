@@ -0,0 +1,74 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, makePdf, pdfForm } = require("./support/server");
+
+let server;
+let pdf;
+
+before(async () => {
+  server = await startServer();
+  pdf = await makePdf();
+});
+
+after(() => server && server.stop());
+
+function requestsTotal(metrics, tool, status) {
+  const match = new RegExp(`^getpdfpress_requests_total\\{tool="${tool}",status="${status}"\\} (\\d+)$`, "m").exec(metrics);
+  return match ? Number(match[1]) : 0;
+}
+
+test("/metrics requires the token", async () => {
+  const response = await fetch(`${server.baseUrl}/metrics`);
+  assert.equal(response.status, 401);
+});
+
+test("requests rejected by middleware are labelled with their tool", async () => {
+  const unknownKey = await server.request("/api/merge", {
+    method: "POST",
+    headers: { "X-API-Key": "gpp_not-a-key" },
+    body: pdfForm({}, [["files", pdf, "a.pdf"]]),
+  });
+  assert.equal(unknownKey.status, 401);
+
+  const key = await server.createKey({ tools: ["merge"], requestsPerMinute: 1 });
+  const forbidden = await server.request("/api/split?pages=1", {
+    method: "POST",
+    headers: { "X-API-Key": key },
+    body: pdfForm({}, [["file", pdf, "a.pdf"]]),
+  });
+  assert.equal(forbidden.status, 403);
+
+  const first = await server.request("/api/merge", { method: "POST", headers: { "X-API-Key": key }, body: pdfForm({}, [["files", pdf, "a.pdf"]]) });
+  assert.equal(first.status, 400); // one file is not enough, but it counts
+  const limited = await server.request("/api/merge", { method: "POST", headers: { "X-API-Key": key }, body: pdfForm({}, [["files", pdf, "a.pdf"]]) });
+  assert.equal(limited.status, 429);
+
+  const metrics = await server.metrics();
+  assert.equal(requestsTotal(metrics, "merge", 401), 1);
+  assert.equal(requestsTotal(metrics, "split", 403), 1);
+  assert.equal(requestsTotal(metrics, "merge", 429), 1);
+});
+
+test("sub-routes get labels of their own", async () => {
+  const response = await server.request("/api/metadata/read", {
+    method: "POST",
+    body: pdfForm({}, [["file", pdf, "a.pdf"]]),
+  });
+  assert.equal(response.status, 200);
+  assert.equal(requestsTotal(await server.metrics(), "metadata-read", 200), 1);
+});
+
+test("the access log records the full path", async () => {
+  const response = await server.request("/api/merge?mode=append", {
+    method: "POST",
+    headers: { "X-API-Key": "gpp_not-a-key", "X-Request-Id": "access-log-path" },
+  });
+  assert.equal(response.status, 401);
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  const line = server.log().trim().split("\n").map((entry) => JSON.parse(entry))
+    .find((entry) => entry.msg === "Request finished" && entry.requestId === "access-log-path");
+  assert.ok(line);
+  assert.equal(line.path, "/api/merge");
+  assert.equal(line.tool, "merge");
+});
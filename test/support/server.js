@@ -0,0 +1,122 @@
+// Starts server.js in a child process on a free port, with its job
+// records and API keys in a throwaway directory, for black-box tests.
+const { spawn } = require("child_process");
+const fs = require("fs").promises;
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { PDFDocument } = require("pdf-lib");
+
+const ROOT = path.join(__dirname, "..", "..");
+const ADMIN_TOKEN = "test-admin-token";
+const METRICS_TOKEN = "test-metrics-token";
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function startServer(env = {}) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "getpdfpress-test-"));
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(ROOT, "server.js")], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      JOBS_DIR: path.join(dataDir, "jobs"),
+      API_KEYS_FILE: path.join(dataDir, "api-keys.json"),
+      ADMIN_TOKEN,
+      METRICS_TOKEN,
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let log = "";
+  child.stdout.on("data", (chunk) => (log += chunk));
+  child.stderr.on("data", (chunk) => (log += chunk));
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const server = {
+    baseUrl,
+    log: () => log,
+
+    // Plain HTTP to the tool routes is redirected; tests talk as if
+    // they came through the TLS-terminating proxy
+    request(pathname, options = {}) {
+      return fetch(`${baseUrl}${pathname}`, {
+        ...options,
+        headers: { "X-Forwarded-Proto": "https", ...options.headers },
+      });
+    },
+
+    async createKey(limits) {
+      const response = await server.request("/api/admin/keys", {
+        method: "POST",
+        headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, "Content-Type": "application/json" },
+        body: JSON.stringify({ name: "test", limits }),
+      });
+      if (response.status !== 201 && response.status !== 200) {
+        throw new Error(`Creating a key failed with ${response.status}: ${await response.text()}`);
+      }
+      return (await response.json()).key;
+    },
+
+    async metrics() {
+      const response = await fetch(`${baseUrl}/metrics`, {
+        headers: { Authorization: `Bearer ${METRICS_TOKEN}` },
+      });
+      return response.text();
+    },
+
+    async stop() {
+      if (child.exitCode === null && child.signalCode === null) {
+        const exited = new Promise((resolve) => child.once("exit", resolve));
+        child.kill("SIGTERM");
+        await exited;
+      }
+      await fs.rm(dataDir, { recursive: true, force: true });
+    },
+  };
+
+  const deadline = Date.now() + 15000;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`server.js exited during startup:\n${log}`);
+    }
+    try {
+      const response = await server.request("/api/health");
+      if (response.ok) return server;
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  await server.stop();
+  throw new Error(`server.js did not start within 15s:\n${log}`);
+}
+
+// A small valid PDF with the given number of pages
+async function makePdf(pages = 1) {
+  const pdfDoc = await PDFDocument.create();
+  for (let i = 0; i < pages; i++) pdfDoc.addPage([200, 200]);
+  return Buffer.from(await pdfDoc.save());
+}
+
+function pdfForm(fields, files) {
+  const form = new FormData();
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  for (const [name, bytes, filename] of files) {
+    form.append(name, new Blob([bytes], { type: "application/pdf" }), filename);
+  }
+  return form;
+}
+
+module.exports = { ROOT, startServer, makePdf, pdfForm };
@@ -0,0 +1,51 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, makePdf, pdfForm } = require("./support/server");
+
+let server;
+let pdf;
+
+before(async () => {
+  server = await startServer({ WEBHOOK_SECRET: "test-secret", PUBLIC_URL: "https://pdf.example.com" });
+  pdf = await makePdf();
+});
+
+after(() => server && server.stop());
+
+function submit(callbackUrl) {
+  return server.request("/api/metadata/write", {
+    method: "POST",
+    body: pdfForm({ callbackUrl, title: "Test" }, [["file", pdf, "a.pdf"]]),
+  });
+}
+
+test("callbacks to private and loopback addresses are refused", async () => {
+  for (const callbackUrl of [
+    "http://127.0.0.1:8080/hook",
+    "http://localhost/hook",
+    "http://10.1.2.3/hook",
+    "http://169.254.169.254/latest/meta-data",
+    "http://[::1]/hook",
+    "http://[fd00::1]/hook",
+  ]) {
+    const response = await submit(callbackUrl);
+    assert.equal(response.status, 400, callbackUrl);
+    const body = await response.json();
+    assert.equal(body.error, "Invalid callbackUrl", callbackUrl);
+    assert.match(body.message, /private or reserved/, callbackUrl);
+  }
+});
+
+test("callbackUrl must be an http(s) URL", async () => {
+  for (const callbackUrl of ["ftp://example.com/hook", "not a url", "file:///etc/passwd"]) {
+    const response = await submit(callbackUrl);
+    assert.equal(response.status, 400, callbackUrl);
+    assert.equal((await response.json()).error, "Invalid callbackUrl", callbackUrl);
+  }
+});
+
+test("hosts that don't resolve are refused", async () => {
+  const response = await submit("https://hooks.invalid/notify");
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).message, /Could not resolve/);
+});